@@ -2,8 +2,29 @@
 import os
 from jsmin import jsmin
 
+SOURCES = [
+    'observable.js',
+    'replica_listener.js',
+    'collection_listener.js',
+    'operators.js',
+    'mutations.js',
+    'remote.js',
+    'sync.js',
+    'history.js',
+    'snapshot.js',
+    'persist.js',
+    'schema.js',
+    'subscription_scope.js',
+]
+"""The source files, in the order they are concatenated. Imports between them
+are removed, since they all end up in the same file."""
+
 
 def main():
+    """Writes out/rl.js, and out/rl.stripped.js and out/rl.js.min without the
+    type hints. A type hint is a line ending in `// @@type-hint`: a bodiless
+    overload for type checkers, either of a top-level function or, inside a
+    class body, of a method such as one which takes a field or a path."""
     os.makedirs('../out', exist_ok=True)
     for (file, typehints) in [('../out/rl.js', True),  ('../out/rl.stripped.js', False)]:
         with open(file, 'w') as f_out:
@@ -13,14 +34,13 @@ def main():
                     print(f' * {line.strip()}', file=f_out)
                 print(' */\n', file=f_out)
 
-            with open('../src/observable.js', 'r') as f_in:
-                for line in f_in:
-                    f_out.write(line)
-
-            with open('../src/replica_listener.js', 'r') as f_in:
-                for idx, line in enumerate(f_in):
-                    if idx > 0 and (typehints or not line.strip().endswith('@@type-hint')):
-                        f_out.write(line)
+            for source in SOURCES:
+                with open(f'../src/{source}', 'r') as f_in:
+                    for line in f_in:
+                        if line.startswith('import '):
+                            continue
+                        if typehints or not line.strip().endswith('@@type-hint'):
+                            f_out.write(line)
 
     with open('../out/rl.js.min', 'w') as f_out:
         with open('../out/rl.stripped.js', 'r') as f_in:
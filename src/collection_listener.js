@@ -0,0 +1,1471 @@
+import { newDisposer } from "./subscription_scope.js";
+import { Observable, batch, batchWithPromise, deliverNotifications, invokeListeners, queueNotification, recordRollback, settleListenerPromises, throwListenerErrors } from "./observable.js";
+import { ReplicaListener, assumeReplica, attachReplica, detachReplica, hydrate, recurseReplicas, toJSONValue } from "./replica_listener.js";
+
+/**
+ * A single listener for a MapListenerOf, which gets additional context
+ * surrounding how the map was edited, analogous to an ArrayListener.
+ * @template K, V
+ * @typedef {object} MapListener
+ * @property {function(Map.<K, V>) : any} [set] Called when the map is
+ *   completely replaced, including when it's cleared. Passed the new map
+ * @property {function(K, V) : any} [add] Called when a key which was not in
+ *   the map is set. Passed the key and the value
+ * @property {function(K, V) : any} [delete] Called when a key is deleted.
+ *   Passed the key and the value it had
+ * @property {function(K, V, V) : any} [replace] Called when the value of a
+ *   key which was already in the map is changed. Passed the key, the new
+ *   value and the old value
+ */
+
+/**
+ * The interface for a listener of a map, i.e., a collection of values by key,
+ * such as users by id. This listener is, itself, a replica listener.
+ *
+ * @template K The type of the keys
+ * @template V The type of the values
+ */
+export class MapListenerOf extends ReplicaListener {
+    /**
+     * @returns {number} The number of keys in the map
+     */
+    get size() {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * @param {K} key The key to get
+     * @returns {V|undefined} The value for the key, or undefined if the key
+     *   is not in the map
+     */
+    get(key) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * @param {K} key The key to check
+     * @returns {boolean} True if the key is in the map, false otherwise
+     */
+    has(key) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * @returns {IterableIterator.<K>} The keys in the map, in insertion order
+     */
+    keys() {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * @returns {IterableIterator.<V>} The values in the map, in insertion order
+     */
+    values() {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * @returns {IterableIterator.<[K, V]>} The entries in the map, in
+     *   insertion order
+     */
+    entries() {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Sets the value for the given key. If the key already has an equal
+     * value, listeners are not notified.
+     * @param {K} key The key to set
+     * @param {V} value The value for the key
+     */
+    set(key, value) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Deletes the given key.
+     * @param {K} key The key to delete
+     * @returns {boolean} True if the key was in the map, false otherwise
+     */
+    delete(key) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Removes every key from the map.
+     */
+    clear() {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Replaces the entire map with the given entries. Listeners are not
+     * notified if the entries are the same as before.
+     * @param {Iterable.<[K, V]>} entries The new entries, such as a Map
+     */
+    setAll(entries) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Sets the value for the given key just like set(), except if there are
+     * any listeners which return a promise, this waits for all those promises
+     * to resolve before this resolves.
+     * @param {K} key The key to set
+     * @param {V} value The value for the key
+     * @returns {Promise.<void>} A promise which resolves when the key is set
+     */
+    setWithPromise(key, value) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Deletes the given key just like delete(), except if there are any
+     * listeners which return a promise, this waits for all those promises to
+     * resolve before this resolves.
+     * @param {K} key The key to delete
+     * @returns {Promise.<boolean>} A promise which resolves to true if the
+     *   key was in the map, false otherwise
+     */
+    deleteWithPromise(key) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Removes every key from the map just like clear(), except if there are
+     * any listeners which return a promise, this waits for all those promises
+     * to resolve before this resolves.
+     * @returns {Promise.<void>} A promise which resolves when the map is
+     *   cleared
+     */
+    clearWithPromise() {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Replaces the entire map just like setAll(), except if there are any
+     * listeners which return a promise, this waits for all those promises to
+     * resolve before this resolves.
+     * @param {Iterable.<[K, V]>} entries The new entries, such as a Map
+     * @returns {Promise.<void>} A promise which resolves when the map is set
+     */
+    setAllWithPromise(entries) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Adds a listener which is called whenever the map changes but does not
+     * provide context for how it was modified, which can be inefficient.
+     * Prefer addMapListener or addKeyListener.
+     *
+     * @param {function(Map.<K, V>) : any} listener The listener to call when
+     *   the map changes
+     * @returns {function() : void} A function which removes the listener
+     */
+    addListener(listener) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Adds the given map multi-part listener, which is told how the map was
+     * modified.
+     *
+     * @param {MapListener.<K, V>} listener The listeners to call when the map
+     *   changes
+     * @returns {function() : void} A function which removes the listener
+     */
+    addMapListener(listener) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Adds a listener for the value of a single key, which is passed the new
+     * value and the old value. Either is undefined if the key was not in the
+     * map at the time.
+     *
+     * @param {K} key The key to listen to
+     * @param {function(V|undefined, V|undefined) : any} listener The listener
+     *   to call when the value for the key changes
+     * @returns {function() : void} A function which removes the listener
+     */
+    addKeyListener(key, listener) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Removes a listener
+     * @param {function(Map.<K, V>) : any} listener The listener to remove
+     */
+    removeListener(listener) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Removes the given map multi-part listener. Compared using shallow
+     * equality, meaning that it must be the exact same listener object.
+     * @param {MapListener.<K, V>} listener The listener to remove
+     */
+    removeMapListener(listener) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Removes a listener for the value of a single key
+     * @param {K} key The key the listener was added for
+     * @param {function(V|undefined, V|undefined) : any} listener The
+     *   listener to remove
+     */
+    removeKeyListener(key, listener) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Adds the given listener and invokes the function immediately. This
+     * is convenient in some contexts.
+     * @param {function(Map.<K, V>) : any} listener The listener to add and
+     *   invoke
+     * @returns {function() : void} A function which removes the listener
+     */
+    addListenerAndInvoke(listener) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Adds the given map multi-part listener and invokes its set function
+     * immediately. This is convenient in some contexts.
+     * @param {MapListener.<K, V>} listener The listener to add and invoke
+     * @returns {function() : void} A function which removes the listener
+     */
+    addMapListenerAndInvoke(listener) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Creates a new derivative observable, whose value changing does not
+     * modify the map, but whose value is changed to match the result of the
+     * function on the map when the map changes. Disposing the observable
+     * stops it from being updated.
+     * @template J
+     * @param {function(Map.<K, V>) : J} func The transformation function
+     * @returns {Observable.<J>} The observable
+     */
+    newDerivativeObservable(func) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Clears all listeners, including those for single keys.
+     */
+    clearListeners() {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Gets the entries as plain data suitable for JSON.stringify, as an array
+     * of [key, value] pairs since keys need not be strings. Values which are
+     * replica listeners are converted too. See mapSchema() for the reverse.
+     *
+     * @returns {Array.<[K, any]>} The entries, in insertion order
+     */
+    toJSON() {
+        throw new Error('not implemented');
+    }
+}
+
+/**
+ * Our implementation for the MapListenerOf interface.
+ *
+ * @template K, V
+ */
+class MapListenerOfImpl {
+    /**
+     * @param {Map.<K, V>} value
+     */
+    constructor(value) {
+        /**
+         * @type {Map.<K, V>}
+         * @private
+         */
+        this._value = value;
+
+        /**
+         * The map listeners
+         * @type {Array.<MapListener.<K, V>>}
+         * @private
+         */
+        this._mapListeners = [];
+
+        /**
+         * The listeners for single keys, by key
+         * @type {Map.<K, Array.<function(V|undefined, V|undefined) : any>>}
+         * @private
+         */
+        this._keyListeners = new Map();
+
+        /**
+         * The regular listeners
+         * @type {Array.<function(Map.<K, V>) : any>}
+         * @private
+         */
+        this._listeners = [];
+
+        /**
+         * The function called with errors from listeners, or null to use
+         * the global handler
+         * @type {?function(any) : void}
+         * @private
+         */
+        this._errorHandler = null;
+
+        /**
+         * @type {Array.<MapListenerOfImpl.<K, V>>}
+         */
+        this.replicatedTo = [];
+    }
+
+    /**
+     * @returns {MapListenerOfImpl.<K, V>}
+     */
+    createReplica() {
+        const res = new MapListenerOfImpl(new Map(this._value));
+        res.replicatedTo.push(this);
+        this.replicatedTo.push(res);
+        return res;
+    }
+
+    /**
+     * @param {MapListenerOfImpl.<K, V>} other
+     */
+    copyFrom(other) {
+        this.setAll(other.entries());
+    }
+
+    /**
+     * @param {MapListenerOfImpl.<K, V>} other
+     */
+    assume(other) {
+        assumeReplica(this, other);
+    }
+
+    /**
+     * @param {MapListenerOfImpl.<K, V>} other
+     */
+    attach(other) {
+        attachReplica(this, other);
+    }
+
+    /**
+     * @returns {MapListenerOfImpl.<K, V>} a clone of this
+     */
+    clone() {
+        const res = new Map();
+        for (const [key, v] of this._value) {
+            if (typeof(v) === 'object' && v !== null && typeof(v['clone']) === 'function') {
+                res.set(key, v['clone']());
+            } else {
+                res.set(key, v);
+            }
+        }
+        return new MapListenerOfImpl(res);
+    }
+
+    /**
+     * @returns {Array.<[K, any]>}
+     */
+    toJSON() {
+        return Array.from(this._value, ([key, v]) => [key, toJSONValue(v)]);
+    }
+
+    detach() {
+        detachReplica(this);
+    }
+
+    /**
+     * @template R
+     * @param {function() : R} fn
+     * @returns {R}
+     */
+    transaction(fn) {
+        return batch(fn);
+    }
+
+    /**
+     * @template R
+     * @param {function() : R} fn
+     * @returns {Promise.<R>}
+     */
+    transactionWithPromise(fn) {
+        return batchWithPromise(fn);
+    }
+
+    /**
+     * @returns {number}
+     */
+    get size() {
+        return this._value.size;
+    }
+
+    /**
+     * @param {K} key
+     * @returns {V|undefined}
+     */
+    get(key) {
+        return this._value.get(key);
+    }
+
+    /**
+     * @param {K} key
+     * @returns {boolean}
+     */
+    has(key) {
+        return this._value.has(key);
+    }
+
+    /**
+     * @returns {IterableIterator.<K>}
+     */
+    keys() {
+        return this._value.keys();
+    }
+
+    /**
+     * @returns {IterableIterator.<V>}
+     */
+    values() {
+        return this._value.values();
+    }
+
+    /**
+     * @returns {IterableIterator.<[K, V]>}
+     */
+    entries() {
+        return this._value.entries();
+    }
+
+    /**
+     * @param {K} key
+     * @param {V} value
+     */
+    set(key, value) {
+        const errors = [];
+        this._set(key, value, errors);
+        throwListenerErrors(errors);
+    }
+
+    /**
+     * @param {K} key
+     * @returns {boolean}
+     */
+    delete(key) {
+        const errors = [];
+        const { deleted } = this._delete(key, errors);
+        throwListenerErrors(errors);
+        return deleted;
+    }
+
+    clear() {
+        this.setAll([]);
+    }
+
+    /**
+     * @param {Iterable.<[K, V]>} entries
+     */
+    setAll(entries) {
+        const errors = [];
+        this._setAll(entries, errors);
+        throwListenerErrors(errors);
+    }
+
+    /**
+     * @param {K} key
+     * @param {V} value
+     * @returns {Promise.<void>}
+     */
+    async setWithPromise(key, value) {
+        const errors = [];
+        const promises = this._set(key, value, errors);
+        await settleListenerPromises(promises, errors);
+    }
+
+    /**
+     * @param {K} key
+     * @returns {Promise.<boolean>}
+     */
+    async deleteWithPromise(key) {
+        const errors = [];
+        const { deleted, promises } = this._delete(key, errors);
+        await settleListenerPromises(promises, errors);
+        return deleted;
+    }
+
+    /**
+     * @returns {Promise.<void>}
+     */
+    async clearWithPromise() {
+        await this.setAllWithPromise([]);
+    }
+
+    /**
+     * @param {Iterable.<[K, V]>} entries
+     * @returns {Promise.<void>}
+     */
+    async setAllWithPromise(entries) {
+        const errors = [];
+        const promises = this._setAll(entries, errors);
+        await settleListenerPromises(promises, errors);
+    }
+
+    /**
+     * Sets the given key on every replica and notifies their listeners.
+     * @param {K} key
+     * @param {V} value
+     * @param {Array.<any>} errors Where errors from listeners are collected
+     * @returns {Array.<Promise.<any>>} The promises returned by listeners
+     * @private
+     */
+    _set(key, value, errors) {
+        if (this._value.has(key) && Object.is(this._value.get(key), value)) {
+            return [];
+        }
+
+        return this._mutate(
+            (replica) => {
+                const had = replica._value.has(key);
+                const oldValue = replica._value.get(key);
+                replica._value.set(key, value);
+                return {
+                    changes: [[key, value, oldValue]],
+                    notify: (listener) => {
+                        if (had && listener.replace) {
+                            return listener.replace(key, value, oldValue);
+                        }
+                        if (!had && listener.add) {
+                            return listener.add(key, value);
+                        }
+                    }
+                };
+            },
+            errors
+        );
+    }
+
+    /**
+     * Deletes the given key from every replica and notifies their listeners.
+     * @param {K} key
+     * @param {Array.<any>} errors Where errors from listeners are collected
+     * @returns {{deleted: boolean, promises: Array.<Promise.<any>>}} If the
+     *   key was in the map, and the promises returned by listeners
+     * @private
+     */
+    _delete(key, errors) {
+        if (!this._value.has(key)) {
+            return { deleted: false, promises: [] };
+        }
+
+        const promises = this._mutate(
+            (replica) => {
+                const oldValue = replica._value.get(key);
+                replica._value.delete(key);
+                return {
+                    changes: [[key, undefined, oldValue]],
+                    notify: (listener) => {
+                        if (listener.delete) {
+                            return listener.delete(key, oldValue);
+                        }
+                    }
+                };
+            },
+            errors
+        );
+        return { deleted: true, promises };
+    }
+
+    /**
+     * Replaces the map of every replica and notifies their listeners.
+     * @param {Iterable.<[K, V]>} entries
+     * @param {Array.<any>} errors Where errors from listeners are collected
+     * @returns {Array.<Promise.<any>>} The promises returned by listeners
+     * @private
+     */
+    _setAll(entries, errors) {
+        const value = new Map(entries);
+        if (
+            value.size === this._value.size &&
+            Array.from(value).every(([key, v]) => this._value.has(key) && Object.is(this._value.get(key), v))
+        ) {
+            return [];
+        }
+
+        return this._mutate(
+            (replica) => {
+                const oldMap = replica._value;
+                replica._value = new Map(value);
+
+                /** @type {Array.<[K, V|undefined, V|undefined]>} */
+                const changes = [];
+                for (const [key, oldValue] of oldMap) {
+                    if (!value.has(key)) {
+                        changes.push([key, undefined, oldValue]);
+                    }
+                }
+                for (const [key, newValue] of value) {
+                    if (!oldMap.has(key) || !Object.is(oldMap.get(key), newValue)) {
+                        changes.push([key, newValue, oldMap.get(key)]);
+                    }
+                }
+
+                // the map may be changed again before listeners are notified
+                const snapshot = new Map(value);
+                return {
+                    changes,
+                    notify: (listener) => {
+                        if (listener.set) {
+                            return listener.set(snapshot);
+                        }
+                    }
+                };
+            },
+            errors
+        );
+    }
+
+    /**
+     * Applies the given mutation to every replica, then notifies the
+     * listeners of each replica in turn, like ArrayListenerOf.
+     * @param {function(MapListenerOfImpl.<K, V>) : {changes: Array.<[K, V|undefined, V|undefined]>, notify: function(MapListener.<K, V>) : any}} mutate
+     *   Mutates the map of the given replica and returns the keys which
+     *   changed, with their new and old values, and the function which
+     *   notifies a single map listener of the replica about the mutation
+     * @param {Array.<any>} errors Where errors from listeners are collected
+     * @returns {Array.<Promise.<any>>} The promises returned by listeners
+     * @private
+     */
+    _mutate(mutate, errors) {
+        return deliverNotifications(() => recurseReplicas(
+            this,
+            /** @param {MapListenerOfImpl.<K, V>} replica */
+            (replica) => {
+                recordRollback(replica, () => {
+                    const oldValue = new Map(replica._value);
+                    return () => replica._value = oldValue;
+                });
+                const { changes, notify } = mutate(replica);
+
+                queueNotification(null, (errors) => invokeListeners(
+                    replica._mapListeners, notify, replica._errorHandler, errors
+                ));
+                for (const [key, value, oldValue] of changes) {
+                    if (!replica._keyListeners.has(key)) {
+                        continue;
+                    }
+                    queueNotification(null, (errors) => invokeListeners(
+                        replica._keyListeners.get(key) || [],
+                        (listener) => listener(value, oldValue),
+                        replica._errorHandler,
+                        errors
+                    ));
+                }
+                queueNotification(replica, (errors) => invokeListeners(
+                    replica._listeners,
+                    (listener) => listener(replica._value),
+                    replica._errorHandler,
+                    errors
+                ));
+            }
+        ), errors);
+    }
+
+    /**
+     * @param {function(Map.<K, V>) : any} listener
+     * @returns {function() : void}
+     */
+    addListener(listener) {
+        this._listeners.push(listener);
+        return newDisposer(() => this.removeListener(listener));
+    }
+
+    /**
+     * @param {MapListener.<K, V>} listener
+     * @returns {function() : void}
+     */
+    addMapListener(listener) {
+        this._mapListeners.push(listener);
+        return newDisposer(() => this.removeMapListener(listener));
+    }
+
+    /**
+     * @param {K} key
+     * @param {function(V|undefined, V|undefined) : any} listener
+     * @returns {function() : void}
+     */
+    addKeyListener(key, listener) {
+        let listeners = this._keyListeners.get(key);
+        if (listeners === undefined) {
+            listeners = [];
+            this._keyListeners.set(key, listeners);
+        }
+        listeners.push(listener);
+        return newDisposer(() => this.removeKeyListener(key, listener));
+    }
+
+    /**
+     * @param {function(Map.<K, V>) : any} listener
+     */
+    removeListener(listener) {
+        const index = this._listeners.indexOf(listener);
+        if (index >= 0) {
+            this._listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * @param {MapListener.<K, V>} listener
+     */
+    removeMapListener(listener) {
+        const index = this._mapListeners.indexOf(listener);
+        if (index >= 0) {
+            this._mapListeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * @param {K} key
+     * @param {function(V|undefined, V|undefined) : any} listener
+     */
+    removeKeyListener(key, listener) {
+        const listeners = this._keyListeners.get(key);
+        if (listeners === undefined) {
+            return;
+        }
+
+        const index = listeners.indexOf(listener);
+        if (index >= 0) {
+            listeners.splice(index, 1);
+        }
+        if (listeners.length === 0) {
+            this._keyListeners.delete(key);
+        }
+    }
+
+    /**
+     * @param {function(Map.<K, V>) : any} listener
+     * @returns {function() : void}
+     */
+    addListenerAndInvoke(listener) {
+        const dispose = this.addListener(listener);
+        listener(this._value);
+        return dispose;
+    }
+
+    /**
+     * @param {MapListener.<K, V>} listener
+     * @returns {function() : void}
+     */
+    addMapListenerAndInvoke(listener) {
+        const dispose = this.addMapListener(listener);
+        listener.set(this._value);
+        return dispose;
+    }
+
+    /**
+     * @template J
+     * @param {function(Map.<K, V>) : J} func The transformation function
+     * @returns {Observable.<J>} The observable
+     */
+    newDerivativeObservable(func) {
+        const res = new Observable(func(this._value));
+        res.onDispose(this.addListener(val => {
+            res.value = func(val);
+        }));
+        return res;
+    }
+
+    clearListeners() {
+        this._listeners = [];
+        this._mapListeners = [];
+        this._keyListeners = new Map();
+    }
+
+    /**
+     * @param {?function(any) : void} handler
+     */
+    setListenerErrorHandler(handler) {
+        this._errorHandler = handler;
+    }
+}
+
+/**
+ * Creates a new standalone MapListenerOf with the given entries.
+ * @template K, V
+ * @param {Iterable.<[K, V]>} [entries] The initial entries, such as a Map
+ * @returns {MapListenerOf.<K, V>} The constructed MapListenerOf
+ */
+export function newMapListenerOf(entries) {
+    return new MapListenerOfImpl(new Map(entries));
+}
+
+/**
+ * Creates a schema for hydrate() which rebuilds a MapListenerOf from its
+ * toJSON(), i.e., an array of [key, value] pairs. For example:
+ *
+ * ```js
+ * const chat = hydrate({title: null, usersById: mapSchema({name: null})}, json);
+ * chat.get('usersById').get(id).get('name');
+ * ```
+ *
+ * @param {any} [valueSchema] Describes the values, as for hydrate()
+ * @returns {function(any) : MapListenerOf.<any, any>} The schema
+ */
+export function mapSchema(valueSchema) {
+    return (json) => {
+        if (!Array.isArray(json)) {
+            throw new Error(`cannot hydrate a map from ${typeof(json)}`);
+        }
+        return newMapListenerOf(json.map(([key, v]) => [key, hydrate(valueSchema, v)]));
+    };
+}
+
+/**
+ * A single listener for a SetListenerOf, which gets additional context
+ * surrounding how the set was edited.
+ * @template T
+ * @typedef {object} SetListener
+ * @property {function(Set.<T>) : any} [set] Called when the set is
+ *   completely replaced, including when it's cleared. Passed the new set
+ * @property {function(T) : any} [add] Called when a value is added
+ * @property {function(T) : any} [delete] Called when a value is deleted
+ */
+
+/**
+ * The interface for a listener of a set, such as the ids of the selected
+ * messages. This listener is, itself, a replica listener.
+ *
+ * @template T The type of the members
+ */
+export class SetListenerOf extends ReplicaListener {
+    /**
+     * @returns {number} The number of members of the set
+     */
+    get size() {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * @param {T} value The value to check
+     * @returns {boolean} True if the value is in the set, false otherwise
+     */
+    has(value) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * @returns {IterableIterator.<T>} The members, in insertion order
+     */
+    values() {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Adds the given value to the set. If it's already in the set, listeners
+     * are not notified.
+     * @param {T} value The value to add
+     */
+    add(value) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Deletes the given value from the set.
+     * @param {T} value The value to delete
+     * @returns {boolean} True if the value was in the set, false otherwise
+     */
+    delete(value) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Removes every member from the set.
+     */
+    clear() {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Replaces the entire set with the given values. Listeners are not
+     * notified if the members are the same as before.
+     * @param {Iterable.<T>} values The new members, such as a Set
+     */
+    setAll(values) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Adds the given value just like add(), except if there are any
+     * listeners which return a promise, this waits for all those promises to
+     * resolve before this resolves.
+     * @param {T} value The value to add
+     * @returns {Promise.<void>} A promise which resolves when the value is
+     *   added
+     */
+    addWithPromise(value) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Deletes the given value just like delete(), except if there are any
+     * listeners which return a promise, this waits for all those promises to
+     * resolve before this resolves.
+     * @param {T} value The value to delete
+     * @returns {Promise.<boolean>} A promise which resolves to true if the
+     *   value was in the set, false otherwise
+     */
+    deleteWithPromise(value) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Removes every member just like clear(), except if there are any
+     * listeners which return a promise, this waits for all those promises to
+     * resolve before this resolves.
+     * @returns {Promise.<void>} A promise which resolves when the set is
+     *   cleared
+     */
+    clearWithPromise() {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Replaces the entire set just like setAll(), except if there are any
+     * listeners which return a promise, this waits for all those promises to
+     * resolve before this resolves.
+     * @param {Iterable.<T>} values The new members, such as a Set
+     * @returns {Promise.<void>} A promise which resolves when the set is set
+     */
+    setAllWithPromise(values) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Adds a listener which is called whenever the set changes but does not
+     * provide context for how it was modified. Prefer addSetListener.
+     *
+     * @param {function(Set.<T>) : any} listener The listener to call when
+     *   the set changes
+     * @returns {function() : void} A function which removes the listener
+     */
+    addListener(listener) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Adds the given set multi-part listener, which is told how the set was
+     * modified.
+     *
+     * @param {SetListener.<T>} listener The listeners to call when the set
+     *   changes
+     * @returns {function() : void} A function which removes the listener
+     */
+    addSetListener(listener) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Removes a listener
+     * @param {function(Set.<T>) : any} listener The listener to remove
+     */
+    removeListener(listener) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Removes the given set multi-part listener. Compared using shallow
+     * equality, meaning that it must be the exact same listener object.
+     * @param {SetListener.<T>} listener The listener to remove
+     */
+    removeSetListener(listener) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Adds the given listener and invokes the function immediately. This
+     * is convenient in some contexts.
+     * @param {function(Set.<T>) : any} listener The listener to add and
+     *   invoke
+     * @returns {function() : void} A function which removes the listener
+     */
+    addListenerAndInvoke(listener) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Adds the given set multi-part listener and invokes its set function
+     * immediately. This is convenient in some contexts.
+     * @param {SetListener.<T>} listener The listener to add and invoke
+     * @returns {function() : void} A function which removes the listener
+     */
+    addSetListenerAndInvoke(listener) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Creates a new derivative observable, whose value changing does not
+     * modify the set, but whose value is changed to match the result of the
+     * function on the set when the set changes. Disposing the observable
+     * stops it from being updated.
+     * @template J
+     * @param {function(Set.<T>) : J} func The transformation function
+     * @returns {Observable.<J>} The observable
+     */
+    newDerivativeObservable(func) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Clears all listeners.
+     */
+    clearListeners() {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Gets the members as plain data suitable for JSON.stringify, as an
+     * array. See setSchema() for the reverse.
+     *
+     * @returns {Array.<any>} The members, in insertion order
+     */
+    toJSON() {
+        throw new Error('not implemented');
+    }
+}
+
+/**
+ * Our implementation for the SetListenerOf interface.
+ *
+ * @template T
+ */
+class SetListenerOfImpl {
+    /**
+     * @param {Set.<T>} value
+     */
+    constructor(value) {
+        /**
+         * @type {Set.<T>}
+         * @private
+         */
+        this._value = value;
+
+        /**
+         * The set listeners
+         * @type {Array.<SetListener.<T>>}
+         * @private
+         */
+        this._setListeners = [];
+
+        /**
+         * The regular listeners
+         * @type {Array.<function(Set.<T>) : any>}
+         * @private
+         */
+        this._listeners = [];
+
+        /**
+         * The function called with errors from listeners, or null to use
+         * the global handler
+         * @type {?function(any) : void}
+         * @private
+         */
+        this._errorHandler = null;
+
+        /**
+         * @type {Array.<SetListenerOfImpl.<T>>}
+         */
+        this.replicatedTo = [];
+    }
+
+    /**
+     * @returns {SetListenerOfImpl.<T>}
+     */
+    createReplica() {
+        const res = new SetListenerOfImpl(new Set(this._value));
+        res.replicatedTo.push(this);
+        this.replicatedTo.push(res);
+        return res;
+    }
+
+    /**
+     * @param {SetListenerOfImpl.<T>} other
+     */
+    copyFrom(other) {
+        this.setAll(other.values());
+    }
+
+    /**
+     * @param {SetListenerOfImpl.<T>} other
+     */
+    assume(other) {
+        assumeReplica(this, other);
+    }
+
+    /**
+     * @param {SetListenerOfImpl.<T>} other
+     */
+    attach(other) {
+        attachReplica(this, other);
+    }
+
+    /**
+     * Members are not cloned, since changing a member would change how it's
+     * hashed.
+     * @returns {SetListenerOfImpl.<T>} a clone of this
+     */
+    clone() {
+        return new SetListenerOfImpl(new Set(this._value));
+    }
+
+    /**
+     * @returns {Array.<any>}
+     */
+    toJSON() {
+        return Array.from(this._value, toJSONValue);
+    }
+
+    detach() {
+        detachReplica(this);
+    }
+
+    /**
+     * @template R
+     * @param {function() : R} fn
+     * @returns {R}
+     */
+    transaction(fn) {
+        return batch(fn);
+    }
+
+    /**
+     * @template R
+     * @param {function() : R} fn
+     * @returns {Promise.<R>}
+     */
+    transactionWithPromise(fn) {
+        return batchWithPromise(fn);
+    }
+
+    /**
+     * @returns {number}
+     */
+    get size() {
+        return this._value.size;
+    }
+
+    /**
+     * @param {T} value
+     * @returns {boolean}
+     */
+    has(value) {
+        return this._value.has(value);
+    }
+
+    /**
+     * @returns {IterableIterator.<T>}
+     */
+    values() {
+        return this._value.values();
+    }
+
+    /**
+     * @param {T} value
+     */
+    add(value) {
+        const errors = [];
+        this._add(value, errors);
+        throwListenerErrors(errors);
+    }
+
+    /**
+     * @param {T} value
+     * @returns {boolean}
+     */
+    delete(value) {
+        const errors = [];
+        const { deleted } = this._delete(value, errors);
+        throwListenerErrors(errors);
+        return deleted;
+    }
+
+    clear() {
+        this.setAll([]);
+    }
+
+    /**
+     * @param {Iterable.<T>} values
+     */
+    setAll(values) {
+        const errors = [];
+        this._setAll(values, errors);
+        throwListenerErrors(errors);
+    }
+
+    /**
+     * @param {T} value
+     * @returns {Promise.<void>}
+     */
+    async addWithPromise(value) {
+        const errors = [];
+        const promises = this._add(value, errors);
+        await settleListenerPromises(promises, errors);
+    }
+
+    /**
+     * @param {T} value
+     * @returns {Promise.<boolean>}
+     */
+    async deleteWithPromise(value) {
+        const errors = [];
+        const { deleted, promises } = this._delete(value, errors);
+        await settleListenerPromises(promises, errors);
+        return deleted;
+    }
+
+    /**
+     * @returns {Promise.<void>}
+     */
+    async clearWithPromise() {
+        await this.setAllWithPromise([]);
+    }
+
+    /**
+     * @param {Iterable.<T>} values
+     * @returns {Promise.<void>}
+     */
+    async setAllWithPromise(values) {
+        const errors = [];
+        const promises = this._setAll(values, errors);
+        await settleListenerPromises(promises, errors);
+    }
+
+    /**
+     * Adds the given value to every replica and notifies their listeners.
+     * @param {T} value
+     * @param {Array.<any>} errors Where errors from listeners are collected
+     * @returns {Array.<Promise.<any>>} The promises returned by listeners
+     * @private
+     */
+    _add(value, errors) {
+        if (this._value.has(value)) {
+            return [];
+        }
+
+        return this._mutate(
+            (replica) => {
+                replica._value.add(value);
+                return (listener) => {
+                    if (listener.add) {
+                        return listener.add(value);
+                    }
+                };
+            },
+            errors
+        );
+    }
+
+    /**
+     * Deletes the given value from every replica and notifies their
+     * listeners.
+     * @param {T} value
+     * @param {Array.<any>} errors Where errors from listeners are collected
+     * @returns {{deleted: boolean, promises: Array.<Promise.<any>>}} If the
+     *   value was in the set, and the promises returned by listeners
+     * @private
+     */
+    _delete(value, errors) {
+        if (!this._value.has(value)) {
+            return { deleted: false, promises: [] };
+        }
+
+        const promises = this._mutate(
+            (replica) => {
+                replica._value.delete(value);
+                return (listener) => {
+                    if (listener.delete) {
+                        return listener.delete(value);
+                    }
+                };
+            },
+            errors
+        );
+        return { deleted: true, promises };
+    }
+
+    /**
+     * Replaces the set of every replica and notifies their listeners.
+     * @param {Iterable.<T>} values
+     * @param {Array.<any>} errors Where errors from listeners are collected
+     * @returns {Array.<Promise.<any>>} The promises returned by listeners
+     * @private
+     */
+    _setAll(values, errors) {
+        const value = new Set(values);
+        if (value.size === this._value.size && Array.from(value).every((v) => this._value.has(v))) {
+            return [];
+        }
+
+        return this._mutate(
+            (replica) => {
+                replica._value = new Set(value);
+
+                // the set may be changed again before listeners are notified
+                const snapshot = new Set(value);
+                return (listener) => {
+                    if (listener.set) {
+                        return listener.set(snapshot);
+                    }
+                };
+            },
+            errors
+        );
+    }
+
+    /**
+     * Applies the given mutation to every replica, then notifies the
+     * listeners of each replica in turn, like ArrayListenerOf.
+     * @param {function(SetListenerOfImpl.<T>) : function(SetListener.<T>) : any} mutate
+     *   Mutates the set of the given replica and returns the function which
+     *   notifies a single set listener of the replica about the mutation
+     * @param {Array.<any>} errors Where errors from listeners are collected
+     * @returns {Array.<Promise.<any>>} The promises returned by listeners
+     * @private
+     */
+    _mutate(mutate, errors) {
+        return deliverNotifications(() => recurseReplicas(
+            this,
+            /** @param {SetListenerOfImpl.<T>} replica */
+            (replica) => {
+                recordRollback(replica, () => {
+                    const oldValue = new Set(replica._value);
+                    return () => replica._value = oldValue;
+                });
+                const notify = mutate(replica);
+
+                queueNotification(null, (errors) => invokeListeners(
+                    replica._setListeners, notify, replica._errorHandler, errors
+                ));
+                queueNotification(replica, (errors) => invokeListeners(
+                    replica._listeners,
+                    (listener) => listener(replica._value),
+                    replica._errorHandler,
+                    errors
+                ));
+            }
+        ), errors);
+    }
+
+    /**
+     * @param {function(Set.<T>) : any} listener
+     * @returns {function() : void}
+     */
+    addListener(listener) {
+        this._listeners.push(listener);
+        return newDisposer(() => this.removeListener(listener));
+    }
+
+    /**
+     * @param {SetListener.<T>} listener
+     * @returns {function() : void}
+     */
+    addSetListener(listener) {
+        this._setListeners.push(listener);
+        return newDisposer(() => this.removeSetListener(listener));
+    }
+
+    /**
+     * @param {function(Set.<T>) : any} listener
+     */
+    removeListener(listener) {
+        const index = this._listeners.indexOf(listener);
+        if (index >= 0) {
+            this._listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * @param {SetListener.<T>} listener
+     */
+    removeSetListener(listener) {
+        const index = this._setListeners.indexOf(listener);
+        if (index >= 0) {
+            this._setListeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * @param {function(Set.<T>) : any} listener
+     * @returns {function() : void}
+     */
+    addListenerAndInvoke(listener) {
+        const dispose = this.addListener(listener);
+        listener(this._value);
+        return dispose;
+    }
+
+    /**
+     * @param {SetListener.<T>} listener
+     * @returns {function() : void}
+     */
+    addSetListenerAndInvoke(listener) {
+        const dispose = this.addSetListener(listener);
+        listener.set(this._value);
+        return dispose;
+    }
+
+    /**
+     * @template J
+     * @param {function(Set.<T>) : J} func The transformation function
+     * @returns {Observable.<J>} The observable
+     */
+    newDerivativeObservable(func) {
+        const res = new Observable(func(this._value));
+        res.onDispose(this.addListener(val => {
+            res.value = func(val);
+        }));
+        return res;
+    }
+
+    clearListeners() {
+        this._listeners = [];
+        this._setListeners = [];
+    }
+
+    /**
+     * @param {?function(any) : void} handler
+     */
+    setListenerErrorHandler(handler) {
+        this._errorHandler = handler;
+    }
+}
+
+/**
+ * Creates a new standalone SetListenerOf with the given members.
+ * @template T
+ * @param {Iterable.<T>} [values] The initial members, such as a Set
+ * @returns {SetListenerOf.<T>} The constructed SetListenerOf
+ */
+export function newSetListenerOf(values) {
+    return new SetListenerOfImpl(new Set(values));
+}
+
+/**
+ * Creates a schema for hydrate() which rebuilds a SetListenerOf from its
+ * toJSON(), i.e., an array of the members.
+ *
+ * @param {any} [memberSchema] Describes the members, as for hydrate()
+ * @returns {function(any) : SetListenerOf.<any>} The schema
+ */
+export function setSchema(memberSchema) {
+    return (json) => {
+        if (!Array.isArray(json)) {
+            throw new Error(`cannot hydrate a set from ${typeof(json)}`);
+        }
+        return newSetListenerOf(json.map((v) => hydrate(memberSchema, v)));
+    };
+}
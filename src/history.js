@@ -0,0 +1,237 @@
+import { Observable, deliverNotifications, queueNotification, recordRollback, throwListenerErrors } from "./observable.js";
+import { applyPatch, observeChanges } from "./mutations.js";
+
+/**
+ * The undo and redo history of a replica listener, created by
+ * createHistory().
+ *
+ * @typedef {object} History
+ * @property {function() : boolean} undo Reverts the most recent step, if
+ *   any, returning whether there was one
+ * @property {function() : boolean} redo Makes the most recently undone step
+ *   again, if any, returning whether there was one
+ * @property {Observable.<boolean>} canUndo Whether there is a step to undo
+ * @property {Observable.<boolean>} canRedo Whether there is a step to redo
+ * @property {function(function() : any) : any} group Calls the given function
+ *   and records every change it makes as a single step, returning its result
+ * @property {function() : void} clear Forgets every step
+ * @property {function() : void} dispose Stops recording, and disposes
+ *   canUndo and canRedo
+ */
+
+/**
+ * Records the changes made to the given replica listener, its replicas and
+ * everything nested within it, so that they can be undone and redone, no
+ * matter how they are made. For example, for an editor:
+ *
+ * ```js
+ * const history = createHistory(message);
+ * history.canUndo.addListenerAndInvoke((can) => undoButton.disabled = !can);
+ * undoButton.onclick = () => history.undo();
+ *
+ * // several changes, undone together
+ * history.group(() => {
+ *     message.set('text', '');
+ *     message.get('attachments').splice(0);
+ * });
+ * ```
+ *
+ * Each change is its own step, except for changes made within group(), and
+ * repeatedly setting the same field, such as while typing, which is
+ * combined into one step until there's a pause of at least coalesce
+ * milliseconds or some other change.
+ *
+ * Changes are undone and redone as a transaction, so listeners see a single
+ * consistent change for each step. Within a batch, or from a listener, the
+ * changes are recorded when listeners are notified of them, so undo(), redo()
+ * and group() work the same there too.
+ *
+ * @param {any} replica The replica listener or ArrayListenerOf to record
+ * @param {object} [kwargs] Optional keyword arguments
+ * @param {number} [kwargs.limit=100] The most steps to keep; the oldest are
+ *   forgotten first
+ * @param {number} [kwargs.coalesce=1000] How long in milliseconds a field
+ *   has to go without being set for the next set to be a separate step, or
+ *   0 to never combine sets
+ * @returns {History} The history
+ */
+export function createHistory(replica, kwargs) {
+    const {limit, coalesce} = Object.assign({limit: 100, coalesce: 1000}, kwargs);
+
+    /** @type {Array.<Array.<any>>} */
+    const undoStack = [];
+    /** @type {Array.<Array.<any>>} */
+    const redoStack = [];
+    const canUndo = new Observable(false);
+    const canRedo = new Observable(false);
+
+    /**
+     * The number of undos and redos whose changes listeners haven't all been
+     * notified of yet, which are not recorded.
+     */
+    let replaying = 0;
+    /** @type {?Array.<any>} The changes made within group() so far */
+    let grouped = null;
+    /** How deeply group() calls are nested. */
+    let groupDepth = 0;
+    /**
+     * When the step on top of the undo stack was last set, if it's a set
+     * which a later set of the same field can be combined into.
+     */
+    let lastSet = -Infinity;
+
+    const update = () => {
+        while (undoStack.length > limit) {
+            undoStack.shift();
+        }
+        canUndo.value = undoStack.length > 0;
+        canRedo.value = redoStack.length > 0;
+    };
+
+    const stopObserving = observeChanges(replica, (change) => {
+        if (replaying > 0) {
+            return;
+        }
+
+        redoStack.length = 0;
+        if (grouped !== null) {
+            grouped.push(change);
+            return;
+        }
+
+        const now = Date.now();
+        const top = undoStack[undoStack.length - 1];
+        if (
+            change.op === 'set' && top !== undefined && now - lastSet < coalesce &&
+            top[0].op === 'set' && top[0].path.join('/') === change.path.join('/')
+        ) {
+            top[0] = Object.assign({}, change, {oldValue: top[0].oldValue});
+        } else {
+            undoStack.push([change]);
+        }
+
+        lastSet = change.op === 'set' ? now : -Infinity;
+        update();
+    });
+
+    const replayed = () => {
+        replaying--;
+        lastSet = -Infinity;
+    };
+    const replay = (fn) => {
+        replaying++;
+        try {
+            replica.transaction(fn);
+        } catch (e) {
+            replayed();
+            throw e;
+        }
+        afterNotifications(replayed, replayed);
+    };
+
+    return {
+        undo() {
+            const step = undoStack.pop();
+            if (step === undefined) {
+                return false;
+            }
+
+            replay(() => {
+                for (let i = step.length - 1; i >= 0; i--) {
+                    applyPatch(replica, invertChange(step[i]));
+                }
+            });
+            redoStack.push(step);
+            update();
+            return true;
+        },
+        redo() {
+            const step = redoStack.pop();
+            if (step === undefined) {
+                return false;
+            }
+
+            replay(() => {
+                for (const change of step) {
+                    applyPatch(replica, change);
+                }
+            });
+            undoStack.push(step);
+            update();
+            return true;
+        },
+        canUndo,
+        canRedo,
+        group(fn) {
+            if (groupDepth > 0) {
+                return fn();
+            }
+
+            /** @type {Array.<any>} */
+            const step = [];
+            const close = () => {
+                if (grouped === step) {
+                    grouped = null;
+                }
+                lastSet = -Infinity;
+                if (step.length > 0) {
+                    undoStack.push(step);
+                    update();
+                }
+            };
+
+            afterNotifications(() => {
+                grouped = step;
+            });
+            groupDepth++;
+            try {
+                return fn();
+            } finally {
+                groupDepth--;
+                afterNotifications(close, close);
+            }
+        },
+        clear() {
+            undoStack.length = 0;
+            redoStack.length = 0;
+            update();
+        },
+        dispose() {
+            stopObserving();
+            canUndo.dispose();
+            canRedo.dispose();
+        },
+    };
+}
+
+/**
+ * Calls the given function once listeners have been notified of every change
+ * made so far, which is right away unless this is within a batch or a
+ * listener.
+ * @param {function() : void} fn The function to call
+ * @param {function() : void} [onRollback] Called instead if the enclosing
+ *   batch fails, in which case listeners are never notified
+ */
+function afterNotifications(fn, onRollback) {
+    if (onRollback !== undefined) {
+        recordRollback({}, () => onRollback);
+    }
+
+    const errors = [];
+    deliverNotifications(() => queueNotification(null, () => fn()), errors);
+    throwListenerErrors(errors);
+}
+
+/**
+ * @param {any} change A change from observeChanges()
+ * @returns {any} The change which undoes it
+ */
+function invertChange(change) {
+    if (change.op === 'set') {
+        return {op: 'set', path: change.path, value: change.oldValue};
+    }
+    if (change.op === 'splice') {
+        return {op: 'splice', path: change.path, start: change.start, deleteCount: change.items.length, items: change.removed};
+    }
+    return {op: 'move', path: change.path, from: change.to, to: change.from};
+}
@@ -0,0 +1,482 @@
+import { hydrate, toJSONValue } from "./replica_listener.js";
+import { newDisposer } from "./subscription_scope.js";
+
+/**
+ * A serializable description of a single change to a replica listener or
+ * something nested within it. The path leads from the observed replica
+ * listener to the field or array which changed, with field names for the
+ * fields of replica listeners and indices for the elements of arrays, just
+ * like the segments of a JSON Pointer.
+ *
+ * - `{op: 'set', path, value}` sets the field at the path to the value. If
+ *   the path leads to an array, its contents are replaced.
+ * - `{op: 'splice', path, start, deleteCount, items}` splices the array at
+ *   the path.
+ * - `{op: 'move', path, from, to}` moves an element of the array at the path.
+ *
+ * Values and items are plain data, as from toJSON().
+ *
+ * @typedef {object} Mutation
+ * @property {'set'|'splice'|'move'} op The kind of change
+ * @property {Array.<string|number>} path Where the change was made
+ * @property {any} [value] The new value, for set
+ * @property {number} [start] The index the splice starts at, for splice
+ * @property {number} [deleteCount] The number of elements removed, for splice
+ * @property {Array.<any>} [items] The elements inserted, for splice
+ * @property {number} [from] The index the element was at, for move
+ * @property {number} [to] The index the element is now at, for move
+ */
+
+/**
+ * A change as reported by observeChanges(), which is like a Mutation except
+ * that values and items are the actual values rather than plain data, and
+ * what was there before is included too so the change can be undone.
+ *
+ * @typedef {object} Change
+ * @property {'set'|'splice'|'move'} op The kind of change
+ * @property {Array.<string|number>} path Where the change was made
+ * @property {any} [value] The new value, for set
+ * @property {any} [oldValue] The previous value, for set
+ * @property {number} [start] The index the splice starts at, for splice
+ * @property {number} [deleteCount] The number of elements removed, for splice
+ * @property {Array.<any>} [items] The elements inserted, for splice
+ * @property {Array.<any>} [removed] The elements removed, for splice
+ * @property {number} [from] The index the element was at, for move
+ * @property {number} [to] The index the element is now at, for move
+ */
+
+/**
+ * Calls the given function with a Mutation for every change to the given
+ * replica listener, its replicas, and the replica listeners and arrays nested
+ * within its fields, at any depth. Fields which are replaced are followed, and
+ * computed fields are ignored since they follow from the others.
+ *
+ * Changes are reported as listeners are notified, i.e., after a transaction
+ * completes, so the mutations can be replayed with applyPatch() to bring
+ * another replica listener with the same shape up to date. For example, to
+ * keep a log:
+ *
+ * ```js
+ * const stop = observeMutations(message, (mutation) => log.push(mutation));
+ * ```
+ *
+ * MapListenerOf and SetListenerOf changes can't be described as mutations,
+ * so finding one nested within the replica listener throws an error. If a
+ * field or element is later set to one, setting it reports the change as
+ * usual, but changes within it are not, and an error is passed to onError.
+ *
+ * @param {any} replica The replica listener or ArrayListenerOf to observe
+ * @param {function(Mutation) : void} callback Called for each change
+ * @param {object} [kwargs] Optional keyword arguments
+ * @param {function(any) : void} [kwargs.onError] Called with the error if a
+ *   field or element is later set to something which can't be observed. If
+ *   not given, the error is thrown from a microtask so that it's reported
+ *   like any other uncaught error.
+ * @returns {function() : void} A function which stops observing
+ * @throws {Error} If a MapListenerOf or SetListenerOf is nested within it
+ */
+export function observeMutations(replica, callback, kwargs) {
+    return observeChanges(replica, (change) => {
+        if (change.op === 'set') {
+            callback({op: 'set', path: change.path, value: toJSONValue(change.value)});
+        } else if (change.op === 'splice') {
+            const {path, start, deleteCount} = change;
+            callback({op: 'splice', path, start, deleteCount, items: change.items.map(toJSONValue)});
+        } else {
+            callback(change);
+        }
+    }, kwargs);
+}
+
+/**
+ * Calls the given function with a Change for every change to the given
+ * replica listener and everything nested within it, just like
+ * observeMutations(), except that the changes hold the actual values
+ * involved, both before and after. This is for things like undo, which
+ * stay within this JS heap.
+ *
+ * @param {any} replica The replica listener or ArrayListenerOf to observe
+ * @param {function(Change) : void} callback Called for each change
+ * @param {object} [kwargs] Optional keyword arguments
+ * @param {function(any) : void} [kwargs.onError] As for observeMutations()
+ * @returns {function() : void} A function which stops observing
+ * @throws {Error} If a MapListenerOf or SetListenerOf is nested within it
+ */
+export function observeChanges(replica, callback, kwargs) {
+    const {onError} = Object.assign({
+        onError: (e) => queueMicrotask(() => {
+            throw e;
+        }),
+    }, kwargs);
+
+    // checked first, so that nothing is left observed if it throws
+    const error = findUnobservable(replica, []);
+    if (error !== null) {
+        throw error;
+    }
+    return observeChangesOf(replica, callback, [], onError);
+}
+
+/**
+ * Applies the given mutation, as from observeMutations(), to the given
+ * replica listener, notifying its listeners as usual.
+ *
+ * Since mutations hold plain data, a schema as for hydrate() can be given to
+ * rebuild replica listeners, arrays and dates within the values. Without
+ * one, values are used as is.
+ *
+ * @param {any} replica The replica listener or ArrayListenerOf to change
+ * @param {Mutation} mutation The change to make
+ * @param {any} [schema] Describes the replica listener, as for hydrate()
+ */
+export function applyPatch(replica, mutation, schema) {
+    let parent = null;
+    let target = replica;
+    let targetSchema = schema;
+    for (const key of mutation.path) {
+        if (!isObservableArray(target) && !isObservableFields(target)) {
+            throw new Error(`cannot apply ${mutation.op} at ${jsonPointer(mutation.path)}: ${key} is ${target}`);
+        }
+
+        parent = target;
+        target = isObservableArray(target) ? target.at(Number(key)) : target.get(key);
+        targetSchema = schemaAt(targetSchema, key);
+    }
+
+    if (mutation.op === 'set') {
+        const key = mutation.path[mutation.path.length - 1];
+        if (isObservableArray(target) && Array.isArray(mutation.value)) {
+            target.set(mutation.value.map((v) => hydrate(schemaAt(targetSchema, 0), v)));
+        } else if (parent === null) {
+            throw new Error(`cannot set ${target}`);
+        } else if (isObservableArray(parent)) {
+            parent.setAt(Number(key), hydrate(targetSchema, mutation.value));
+        } else {
+            parent.set(key, hydrate(targetSchema, mutation.value));
+        }
+        return;
+    }
+
+    if (!isObservableArray(target)) {
+        throw new Error(`cannot apply ${mutation.op} at ${jsonPointer(mutation.path)}: not an array`);
+    }
+
+    if (mutation.op === 'splice') {
+        target.splice(
+            mutation.start,
+            mutation.deleteCount,
+            ...mutation.items.map((v) => hydrate(schemaAt(targetSchema, 0), v))
+        );
+    } else if (mutation.op === 'move') {
+        target.move(mutation.from, mutation.to);
+    } else {
+        throw new Error(`unknown operation ${mutation.op}`);
+    }
+}
+
+/**
+ * Converts the given mutation to the equivalent JSON Patch (RFC 6902)
+ * operations, for use with other tools.
+ *
+ * @param {Mutation} mutation The mutation
+ * @returns {Array.<object>} The JSON Patch operations
+ */
+export function toJSONPatch(mutation) {
+    const path = jsonPointer(mutation.path);
+    if (mutation.op === 'set') {
+        return [{op: 'replace', path, value: mutation.value}];
+    }
+    if (mutation.op === 'move') {
+        return [{op: 'move', from: `${path}/${mutation.from}`, path: `${path}/${mutation.to}`}];
+    }
+    if (mutation.op === 'splice') {
+        const res = [];
+        for (let i = 0; i < mutation.deleteCount; i++) {
+            res.push({op: 'remove', path: `${path}/${mutation.start}`});
+        }
+        mutation.items.forEach((value, i) => {
+            res.push({op: 'add', path: `${path}/${mutation.start + i}`, value});
+        });
+        return res;
+    }
+    throw new Error(`unknown operation ${mutation.op}`);
+}
+
+/**
+ * Gets the mutations which bring the given replica listener or
+ * ArrayListenerOf to the given state, as from toJSON(), when applied with
+ * applyPatch(). Nested replica listeners, and the elements already in nested
+ * arrays, are changed in place rather than replaced, so that listeners on
+ * them are kept and no schema is needed to rebuild them. Each field is set
+ * separately, so fields which are already equal are left alone.
+ *
+ * @param {any} replica The replica listener or ArrayListenerOf to change
+ * @param {any} state The state, as plain data
+ * @returns {Array.<Mutation>} The mutations
+ */
+export function stateMutations(replica, state) {
+    /** @type {Array.<Mutation>} */
+    const mutations = [];
+    addStateMutations(replica, state, [], mutations);
+    return mutations;
+}
+
+/**
+ * Adds the mutations which bring the given value to the given state.
+ * @param {any} value The current value
+ * @param {any} state The state, as plain data
+ * @param {Array.<string|number>} path Where the value is
+ * @param {Array.<Mutation>} mutations Where to add the mutations
+ */
+function addStateMutations(value, state, path, mutations) {
+    if (isObservableFields(value) && typeof(state) === 'object' && state !== null && !Array.isArray(state)) {
+        for (const key of Object.keys(state)) {
+            addStateMutations(value.get(key), state[key], [...path, key], mutations);
+        }
+        return;
+    }
+
+    if (isObservableArray(value) && Array.isArray(state)) {
+        const elements = value.get();
+        const kept = Math.min(elements.length, state.length);
+        for (let i = 0; i < kept; i++) {
+            addStateMutations(elements[i], state[i], [...path, i], mutations);
+        }
+        if (elements.length !== state.length) {
+            mutations.push({
+                op: 'splice',
+                path,
+                start: kept,
+                deleteCount: elements.length - kept,
+                items: state.slice(kept),
+            });
+        }
+        return;
+    }
+
+    mutations.push({op: 'set', path, value: state});
+}
+
+/**
+ * Finds the first replica listener within the given value, or the value
+ * itself, whose changes can't be described as mutations, such as a
+ * MapListenerOf.
+ * @param {any} value The value
+ * @param {Array.<string|number>} path Where the value is
+ * @returns {?Error} The error describing where it is, or null if there is
+ *   none
+ */
+function findUnobservable(value, path) {
+    if (isObservableArray(value)) {
+        const elements = value.get();
+        for (let i = 0; i < elements.length; i++) {
+            const error = findUnobservable(elements[i], [...path, i]);
+            if (error !== null) {
+                return error;
+            }
+        }
+        return null;
+    }
+    if (isObservableFields(value)) {
+        for (const key of value.keys()) {
+            const error = findUnobservable(value.get(key), [...path, key]);
+            if (error !== null) {
+                return error;
+            }
+        }
+        return null;
+    }
+    if (typeof(value) === 'object' && value !== null && typeof(value['createReplica']) === 'function') {
+        return new Error(
+            `cannot observe changes to ${path.length > 0 ? jsonPointer(path) : 'the value'}: only ` +
+            'replica listeners with fields and ArrayListenerOf can be observed, not MapListenerOf, SetListenerOf or others'
+        );
+    }
+    return null;
+}
+
+/**
+ * Observes the given value if it's a replica listener or ArrayListenerOf,
+ * reporting changes with paths relative to it. Anything nested within it
+ * whose changes can't be described as mutations is passed to onError and
+ * otherwise ignored.
+ * @param {any} value The value to observe
+ * @param {function(Change) : void} callback Called for each change
+ * @param {Array.<string|number>} path Where the value is, for errors
+ * @param {function(any) : void} onError Called with the error for anything
+ *   which can't be observed
+ * @returns {function() : void} A function which stops observing
+ */
+function observeChangesOf(value, callback, path, onError) {
+    if (isObservableArray(value)) {
+        return observeArrayChanges(value, callback, path, onError);
+    }
+    if (isObservableFields(value)) {
+        return observeFieldChanges(value, callback, path, onError);
+    }
+    const error = findUnobservable(value, path);
+    if (error !== null) {
+        onError(error);
+    }
+    return newDisposer(() => {});
+}
+
+/**
+ * Observes the fields of a replica listener and whatever they hold.
+ * @param {any} replica The replica listener
+ * @param {function(Change) : void} callback Called for each change
+ * @param {Array.<string|number>} path Where the replica listener is
+ * @param {function(any) : void} onError As for observeChangesOf()
+ * @returns {function() : void} A function which stops observing
+ */
+function observeFieldChanges(replica, callback, path, onError) {
+    /** @type {Object.<string, function() : void>} */
+    const nested = {};
+    const follow = (key) => {
+        nested[key] = observeChangesOf(
+            replica.get(key),
+            (change) => callback(prefixChange(key, change)),
+            [...path, key],
+            onError
+        );
+    };
+
+    for (const key of replica.keys()) {
+        follow(key);
+    }
+
+    const removeListener = replica.addAnyListener((field, value, oldValue) => {
+        if (!(field in nested)) {
+            return;
+        }
+
+        nested[field]();
+        follow(field);
+        callback({op: 'set', path: [field], value, oldValue});
+    });
+
+    return newDisposer(() => {
+        removeListener();
+        for (const key of Object.keys(nested)) {
+            nested[key]();
+        }
+    });
+}
+
+/**
+ * Observes an ArrayListenerOf and the replica listeners and arrays within it.
+ * Changes to an element are reported at each index which holds it, as of
+ * when the change was made, since within a transaction listeners are only
+ * notified after later changes have been made too.
+ * @param {any} array The ArrayListenerOf
+ * @param {function(Change) : void} callback Called for each change
+ * @param {Array.<string|number>} path Where the ArrayListenerOf is
+ * @param {function(any) : void} onError As for observeChangesOf()
+ * @returns {function() : void} A function which stops observing
+ */
+function observeArrayChanges(array, callback, path, onError) {
+    /** @type {Map.<any, function() : void>} */
+    const items = new Map();
+    /** The elements as of the change being reported. */
+    let elements = array.get().slice();
+    const syncItems = () => {
+        const current = new Set(elements);
+        for (const [item, stop] of items) {
+            if (!current.has(item)) {
+                stop();
+                items.delete(item);
+            }
+        }
+        for (const item of current) {
+            if (!items.has(item) && typeof(item) === 'object' && item !== null) {
+                items.set(item, observeChangesOf(item, (change) => {
+                    elements.forEach((v, i) => {
+                        if (v === item) {
+                            callback(prefixChange(i, change));
+                        }
+                    });
+                }, [...path, elements.indexOf(item)], onError));
+            }
+        }
+    };
+
+    syncItems();
+    const removeListener = array.addArrayListener({
+        set: (value) => {
+            const oldValue = elements;
+            elements = value.slice();
+            syncItems();
+            callback({op: 'set', path: [], value: elements.slice(), oldValue});
+        },
+        splice: (start, deleteCount, ...inserted) => {
+            const removed = elements.splice(start, deleteCount, ...inserted);
+            syncItems();
+            callback({op: 'splice', path: [], start, deleteCount, items: inserted, removed});
+        },
+        move: (from, to) => {
+            elements.splice(to, 0, ...elements.splice(from, 1));
+            callback({op: 'move', path: [], from, to});
+        },
+    });
+
+    return newDisposer(() => {
+        removeListener();
+        for (const stop of items.values()) {
+            stop();
+        }
+        items.clear();
+    });
+}
+
+/**
+ * @param {string|number} key The field or index the change was within
+ * @param {Change} change The change relative to that field or index
+ * @returns {Change} The change relative to the parent
+ */
+function prefixChange(key, change) {
+    return Object.assign({}, change, {path: [key, ...change.path]});
+}
+
+/**
+ * Determines if the given value acts like an ArrayListenerOf, which changes
+ * can be observed within.
+ * @param {any} value The value
+ * @returns {boolean} True if the value acts like an ArrayListenerOf
+ */
+export function isObservableArray(value) {
+    return typeof(value) === 'object' && value !== null && typeof(value['addArrayListener']) === 'function';
+}
+
+/**
+ * Determines if the given value is a replica listener with fields, such as
+ * one from implementReplicaListener(), which changes can be observed within.
+ * @param {any} value The value
+ * @returns {boolean} True if the value is a replica listener with fields
+ */
+export function isObservableFields(value) {
+    return typeof(value) === 'object' && value !== null &&
+        typeof(value['addAnyListener']) === 'function' && typeof(value['keys']) === 'function';
+}
+
+/**
+ * @param {any} schema A schema as for hydrate()
+ * @param {string|number} key A field name or index
+ * @returns {any} The schema for the given field or element
+ */
+function schemaAt(schema, key) {
+    if (Array.isArray(schema)) {
+        return schema[0];
+    }
+    if (typeof(schema) === 'object' && schema !== null) {
+        return schema[key];
+    }
+    return undefined;
+}
+
+/**
+ * @param {Array.<string|number>} path The path
+ * @returns {string} The path as a JSON Pointer (RFC 6901)
+ */
+function jsonPointer(path) {
+    return path.map((key) => '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+}
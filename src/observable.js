@@ -1,3 +1,5 @@
+import { SubscriptionScope, newDisposer } from "./subscription_scope.js";
+
 /**
  * Basic class for a value which reports to listeners when it changes.
  * @template T
@@ -5,8 +7,13 @@
 export class Observable {
     /**
      * @param {T} value The initial value.
+     * @param {object} [kwargs] Optional keyword arguments
+     * @param {function(T, T) : boolean} [kwargs.equals=Object.is] Determines
+     *   if two values are equal. Setting the value to one which is equal to the
+     *   current value does nothing and, in particular, does not notify
+     *   listeners.
      */
-    constructor(value) {
+    constructor(value, kwargs) {
         /**
          * The current value
          * @type {T}
@@ -14,12 +21,35 @@ export class Observable {
          */
         this._value = value;
 
+        /**
+         * Determines if two values are equal
+         * @type {function(T, T) : boolean}
+         * @private
+         */
+        this._equals = (kwargs && kwargs.equals) || Object.is;
+
         /**
          * The list of change listeners
-         * @type {Array.<function(T) : any>}
+         * @type {Array.<function(T, T) : any>}
          * @private
          */
         this._listeners = [];
+
+        /**
+         * The function called with errors from listeners, or null to use
+         * the global handler
+         * @type {?function(any) : void}
+         * @private
+         */
+        this._errorHandler = null;
+
+        /**
+         * The functions to call when this observable is disposed, or null if
+         * there are none yet
+         * @type {?SubscriptionScope}
+         * @private
+         */
+        this._disposers = null;
     }
 
     /**
@@ -30,37 +60,81 @@ export class Observable {
     }
 
     /**
-     * Set the current value and notify listeners
+     * @return {boolean} True if this observable has any listeners, false
+     *   otherwise.
+     */
+    get hasListeners() {
+        return this._listeners.length > 0;
+    }
+
+    /**
+     * Set the current value and notify listeners, unless the new value is
+     * equal to the current value. Every listener is notified even if some of
+     * them throw; see ListenerError.
+     *
+     * If this is called by a listener while notifying listeners of another
+     * change, the value is changed immediately but the listeners of this
+     * value are notified after the listeners of the earlier change, so that
+     * every listener sees changes in the order they happened.
      * @param {T} value The new value.
      */
     set value(value) {
-        this._value = value;
-        this._notifyListeners();
+        const errors = [];
+        deliverNotifications(() => this._setValue(value), errors);
+        throwListenerErrors(errors);
     }
 
     /**
      * Set the current value and notify listeners. If the listeners return
-     * promises, wait for all of them to resolve before the result is resolved.
+     * promises, wait for all of them to settle before the result is resolved.
      * @param {T} value The new value.
      * @return {Promise.<any>} A promise which resolves when all listeners have
-     *   been notified.
+     *   been notified, or rejects with a ListenerError if any of them failed.
      */
     async setValueWithPromise(value) {
+        const errors = [];
+        const promises = deliverNotifications(() => this._setValue(value), errors);
+        await settleListenerPromises(promises, errors);
+    }
+
+    /**
+     * Sets the current value and queues notifying the listeners. Does nothing
+     * if the new value is equal to the current value.
+     * @param {T} value The new value.
+     * @private
+     */
+    _setValue(value) {
+        const oldValue = this._value;
+        if (this._equals(oldValue, value)) {
+            return;
+        }
+
+        recordRollback(this, () => () => this._value = oldValue);
         this._value = value;
-        await this._notifyListeners();
+
+        queueNotification(this, (errors) => {
+            if (this._value !== value && this._equals(oldValue, this._value)) {
+                // changed back to the original value before we got to notify
+                return undefined;
+            }
+            return this._notifyListeners(oldValue, errors);
+        });
     }
 
     /**
-     * Add a new listener which is notified when the value changes.
-     * @param {function(T) : any} listener The listener to add
+     * Add a new listener which is notified when the value changes. The
+     * listener is passed the new value and the value before the change.
+     * @param {function(T, T) : any} listener The listener to add
+     * @returns {function() : void} A function which removes the listener
      */
     addListener(listener) {
         this._listeners.push(listener);
+        return newDisposer(() => this.removeListener(listener));
     }
 
     /**
      * Removes the listener
-     * @param {function(T) : any} listener The listener to remove
+     * @param {function(T, T) : any} listener The listener to remove
      */
     removeListener(listener) {
         const index = this._listeners.indexOf(listener);
@@ -72,17 +146,21 @@ export class Observable {
     /**
      * Adds the given listener and invokes the function immediately. This
      * is convenient in some contexts.
-     * @param {function(T) : any} listener The listener to add and invoke
+     * @param {function(T, T=) : any} listener The listener to add and
+     *   invoke. When invoked immediately there is no previous value.
+     * @returns {function() : void} A function which removes the listener
      */
     addListenerAndInvoke(listener) {
-        this.addListener(listener);
+        const dispose = this.addListener(listener);
         listener(this._value);
+        return dispose;
     }
 
     /**
      * Creates a new observable which has the result of the given function
      * on this observable as its value. Changing the returned observable does
-     * not effect this observable.
+     * not effect this observable. Disposing the returned observable stops it
+     * from being updated.
      * @template J
      * @param {function(T) : J} fn The function to apply to the value of this
      *   observable to get the value of the derived obvserable.
@@ -90,7 +168,7 @@ export class Observable {
      */
     newDerivativeObservable(fn) {
         const res = new Observable(fn(this._value));
-        this.addListener(value => res.value = fn(value));
+        res.onDispose(this.addListener(value => res.value = fn(value)));
         return res;
     }
 
@@ -101,25 +179,608 @@ export class Observable {
         this._listeners = [];
     }
 
+    /**
+     * Registers a function to call when this observable is disposed, such as
+     * one which stops this observable from being updated from another. If
+     * this observable has already been disposed, the function is called
+     * immediately.
+     * @param {function() : void} fn The function to call
+     */
+    onDispose(fn) {
+        if (this._disposers === null) {
+            this._disposers = new SubscriptionScope();
+        }
+        this._disposers.add(fn);
+    }
+
+    /**
+     * Removes all listeners and calls the functions registered via
+     * onDispose, in the reverse order they were registered. This is used for
+     * observables derived from others, so that they stop being updated and
+     * can be garbage collected. Disposing more than once does nothing.
+     */
+    dispose() {
+        this.clearListeners();
+        if (this._disposers === null) {
+            this._disposers = new SubscriptionScope();
+        }
+        this._disposers.dispose();
+    }
+
+    /**
+     * Sets the function which is called with any error thrown by a listener
+     * of this observable, or with the reason any promise returned by a
+     * listener rejects. The remaining listeners are notified regardless.
+     * @param {?function(any) : void} handler The handler, or null to use the
+     *   global handler (see setGlobalListenerErrorHandler)
+     */
+    setListenerErrorHandler(handler) {
+        this._errorHandler = handler;
+    }
+
+    /**
+     * Passes the given error to the listener error handler of this
+     * observable, or to the global handler if it has none, for errors which
+     * arise while producing its value rather than from its listeners, such
+     * as the reason a promise it follows rejects, or an error from its
+     * listeners when its value is set by a timer or an event. If there is no
+     * handler, or the handler throws, the error is thrown from a microtask
+     * so that it's reported like any other uncaught error.
+     * @param {any} error The error
+     */
+    reportError(error) {
+        const errors = [];
+        handleListenerError(error, this._errorHandler, errors);
+        if (errors.length > 0) {
+            queueMicrotask(() => {
+                throw errors.length === 1 ? errors[0] : new ListenerError(errors);
+            });
+        }
+    }
+
     /**
      * Notify all listeners that the value has changed.
+     * @param {T} oldValue The value before the change
+     * @param {Array.<any>} errors Where errors from listeners are collected
+     * @returns {Promise.<void>|undefined} See invokeListeners
      * @private
      */
-    async _notifyListeners() {
+    _notifyListeners(oldValue, errors) {
+        return invokeListeners(
+            this._listeners, (listener) => listener(this._value, oldValue), this._errorHandler, errors
+        );
+    }
+
+    toString() {
+        return `Observable(${this._value})`;
+    }
+}
+
+/**
+ * A notification to listeners which has been queued but not yet delivered.
+ * @typedef {object} PendingNotification
+ * @property {any} key If not null, identifies the notification such that it
+ *   is queued at most once until it's delivered. The notify function should
+ *   then read the current value when it's called, rather than capturing it.
+ * @property {function(Array.<any>) : any} notify Notifies the listeners,
+ *   passed where to collect errors from listeners. Returns the promise from
+ *   invokeListeners, if any.
+ */
+
+/**
+ * The state of the batch which is currently running, or null if we are not
+ * batching. While batching, values are changed immediately but listeners are
+ * not notified until the outermost batch completes.
+ *
+ * Each frame corresponds to one (possibly nested) call to batch, and stores
+ * how to restore everything which was first changed within that frame if the
+ * callback throws.
+ *
+ * @type {?{frames: Array.<{rollbacks: Map.<any, function() : void>, queueLength: number}>, queue: Array.<PendingNotification>, queued: Set.<any>}}
+ */
+let currentBatch = null;
+
+/**
+ * The notifications waiting to be delivered outside of a batch, in the order
+ * they were queued.
+ * @type {Array.<PendingNotification>}
+ */
+let deliveryQueue = [];
+
+/**
+ * The keys of the notifications in the delivery queue which have not been
+ * delivered yet.
+ * @type {Set.<any>}
+ */
+let deliveryQueued = new Set();
+
+/**
+ * Greater than zero while a change is being made or its notifications are
+ * being delivered, in which case any further changes just queue their
+ * notifications to be delivered afterward.
+ * @type {number}
+ */
+let deliveryDepth = 0;
+
+/**
+ * The maximum number of times the listeners of a single value can be
+ * notified while delivering the notifications for one change before we
+ * assume the listeners are changing each other in a cycle.
+ * @type {number}
+ */
+const MAX_NOTIFICATIONS_PER_VALUE = 100;
+
+/**
+ * The error thrown when listeners keep changing the values they listen to,
+ * such that delivering the notifications for a change would never end. For
+ * example, two listeners which each set the value the other listens to, with
+ * values that never settle. Notifications which were still pending are
+ * dropped.
+ */
+export class NotificationCycleError extends Error {
+    /**
+     * @param {any} key Identifies the value whose listeners were notified
+     *   too many times
+     */
+    constructor(key) {
+        super(
+            `The listeners of ${key} were notified more than ${MAX_NOTIFICATIONS_PER_VALUE} ` +
+            'times for a single change; listeners are likely changing values in a cycle'
+        );
+        this.name = 'NotificationCycleError';
+
+        /**
+         * Identifies the value whose listeners were notified too many times
+         * @type {any}
+         */
+        this.key = key;
+    }
+}
+
+/**
+ * Runs the given function within a batch, without delivering the queued
+ * notifications when the outermost batch completes.
+ * @template R
+ * @param {function() : R} fn The function to run
+ * @returns {{result: R, queue: ?Array.<PendingNotification>}} The result of
+ *   the function and, if this was the outermost batch, the notifications
+ *   which still need to be delivered.
+ */
+function runBatch(fn) {
+    const outermost = currentBatch === null;
+    if (outermost) {
+        currentBatch = { frames: [], queue: [], queued: new Set() };
+    }
+
+    const state = currentBatch;
+    const frame = { rollbacks: new Map(), queueLength: state.queue.length };
+    state.frames.push(frame);
+
+    let result;
+    try {
+        result = fn();
+    } catch (e) {
+        state.frames.pop();
+        const rollbacks = Array.from(frame.rollbacks.values());
+        for (let i = rollbacks.length - 1; i >= 0; i--) {
+            rollbacks[i]();
+        }
+        state.queue.splice(frame.queueLength);
+        state.queued = new Set(state.queue.map(entry => entry.key).filter(key => key !== null));
+        if (outermost) {
+            currentBatch = null;
+        }
+        throw e;
+    }
+
+    state.frames.pop();
+    if (!outermost) {
+        const parent = state.frames[state.frames.length - 1];
+        for (const [key, rollback] of frame.rollbacks) {
+            if (!parent.rollbacks.has(key)) {
+                parent.rollbacks.set(key, rollback);
+            }
+        }
+        return { result, queue: null };
+    }
+
+    currentBatch = null;
+    return { result, queue: state.queue };
+}
+
+/**
+ * Runs the given function such that listeners are not notified of any
+ * changes made to observables or replica listeners until after the function
+ * completes, at which point every change is visible. This means, for
+ * example, that a listener on one field will see the new value of another
+ * field set within the same batch. Value listeners are notified at most once
+ * per value, whereas array listeners receive each set and splice in order.
+ *
+ * Batches may be nested, in which case listeners are notified when the
+ * outermost batch completes. If the function throws, every change made within
+ * this batch is reverted without notifying listeners and the error is
+ * rethrown; changes made by an enclosing batch are unaffected.
+ *
+ * The function must be synchronous. If any listeners throw when they are
+ * notified, the remaining listeners are still notified and then a
+ * ListenerError is thrown.
+ *
+ * @template R
+ * @param {function() : R} fn The function which makes the changes
+ * @returns {R} The result of the function
+ */
+export function batch(fn) {
+    const { result, queue } = runBatch(fn);
+    if (queue !== null) {
+        const errors = [];
+        deliverNotifications(() => queue.forEach(enqueueDelivery), errors);
+        throwListenerErrors(errors);
+    }
+    return result;
+}
+
+/**
+ * Runs the given function just like batch(), except if there are any
+ * listeners which return a promise when notified, this waits for all those
+ * promises to settle before this resolves. If this is nested within another
+ * batch, listeners are notified when the outermost batch completes, so this
+ * resolves without waiting for them.
+ *
+ * @template R
+ * @param {function() : R} fn The function which makes the changes
+ * @returns {Promise.<R>} A promise which resolves to the result of the
+ *   function once all listeners have been notified, or rejects with a
+ *   ListenerError if any of them failed
+ */
+export async function batchWithPromise(fn) {
+    const { result, queue } = runBatch(fn);
+    if (queue !== null) {
+        const errors = [];
+        const promises = deliverNotifications(() => queue.forEach(enqueueDelivery), errors);
+        await settleListenerPromises(promises, errors);
+    }
+    return result;
+}
+
+/**
+ * @returns {boolean} True if we are within a batch, meaning notifications
+ *   are being deferred, false otherwise.
+ */
+export function isBatching() {
+    return currentBatch !== null;
+}
+
+/**
+ * Runs the given function, which makes a change and queues notifications
+ * via queueNotification, then delivers the queued notifications in the order
+ * they were queued. Usually used to implement observables and replica
+ * listeners.
+ *
+ * If this is called while another change is being made or its notifications
+ * are being delivered, such as by a listener, the notifications are instead
+ * delivered after those which were queued before them. Similarly, within a
+ * batch they are delivered once the outermost batch completes. In both cases
+ * this returns without waiting for the notifications.
+ *
+ * @param {function() : void} change Makes the change and queues the
+ *   notifications
+ * @param {Array.<any>} errors Where errors from listeners are collected
+ * @returns {Array.<Promise.<any>>} The promises returned when delivering the
+ *   notifications
+ * @throws {NotificationCycleError} If the listeners keep changing values
+ *   such that delivering the notifications would never end
+ */
+export function deliverNotifications(change, errors) {
+    if (currentBatch !== null || deliveryDepth > 0) {
+        change();
+        return [];
+    }
+
+    deliveryDepth++;
+    try {
+        change();
+
         const promises = [];
-        for (const listener of this._listeners) {
-            const res = listener(this._value);
+        const deliveries = new Map();
+        for (let i = 0; i < deliveryQueue.length; i++) {
+            const entry = deliveryQueue[i];
+            if (entry.key !== null) {
+                deliveryQueued.delete(entry.key);
+                const count = (deliveries.get(entry.key) || 0) + 1;
+                if (count > MAX_NOTIFICATIONS_PER_VALUE) {
+                    throw new NotificationCycleError(entry.key);
+                }
+                deliveries.set(entry.key, count);
+            }
+
+            const res = entry.notify(errors);
             if (res instanceof Promise) {
                 promises.push(res);
             }
         }
+        return promises;
+    } finally {
+        deliveryDepth--;
+        deliveryQueue = [];
+        deliveryQueued.clear();
+    }
+}
 
-        if (promises) {
-            await Promise.all(promises);
+/**
+ * Queues notifying listeners using the given function. Outside of a batch,
+ * this must be called from the change passed to deliverNotifications, which
+ * delivers it. Usually used to implement observables and replica listeners.
+ *
+ * @param {any} key If not null, identifies the notification such that it is
+ *   queued at most once until it's delivered. The notify function should
+ *   then read the current value when it's called, rather than capturing it.
+ * @param {function(Array.<any>) : any} notify The function which notifies
+ *   the listeners, passed where to collect errors from listeners. Returns
+ *   the promise from invokeListeners, if any.
+ */
+export function queueNotification(key, notify) {
+    if (currentBatch === null) {
+        enqueueDelivery({ key, notify });
+        return;
+    }
+
+    if (key !== null) {
+        if (currentBatch.queued.has(key)) {
+            return;
         }
+        currentBatch.queued.add(key);
     }
+    currentBatch.queue.push({ key, notify });
+}
 
-    toString() {
-        return `Observable(${this._value})`;
+/**
+ * Adds the given notification to the delivery queue, unless a notification
+ * with the same key is already waiting to be delivered.
+ * @param {PendingNotification} entry The notification
+ */
+function enqueueDelivery(entry) {
+    if (entry.key !== null) {
+        if (deliveryQueued.has(entry.key)) {
+            return;
+        }
+        deliveryQueued.add(entry.key);
+    }
+    deliveryQueue.push(entry);
+}
+
+/**
+ * Records how to restore the value identified by the given key if the
+ * current batch fails. Must be called before the value is changed. Does
+ * nothing if we are not within a batch. Usually used to implement
+ * observables and replica listeners.
+ *
+ * @param {any} key Identifies the value which is about to change
+ * @param {function() : function() : void} save Called only the first time
+ *   the key is changed within the current batch; saves the current value and
+ *   returns a function which restores it without notifying listeners.
+ */
+export function recordRollback(key, save) {
+    if (currentBatch === null) {
+        return;
+    }
+
+    const frame = currentBatch.frames[currentBatch.frames.length - 1];
+    if (!frame.rollbacks.has(key)) {
+        frame.rollbacks.set(key, save());
+    }
+}
+
+/**
+ * The error thrown after notifying listeners if one or more of them threw,
+ * or if one or more of the promises they returned rejected, and there was
+ * no error handler for them. Every listener is notified regardless.
+ */
+export class ListenerError extends AggregateError {
+    /**
+     * @param {Array.<any>} errors The errors from the listeners
+     */
+    constructor(errors) {
+        super(errors, `${errors.length} listener(s) failed: ${errors.map(e => String(e)).join('; ')}`);
+        this.name = 'ListenerError';
+    }
+}
+
+/**
+ * The function called with errors from listeners which do not belong to an
+ * instance with its own handler, or null to throw them as a ListenerError.
+ * @type {?function(any) : void}
+ */
+let globalListenerErrorHandler = null;
+
+/**
+ * Sets the function which is called with any error thrown by a listener, or
+ * with the reason any promise returned by a listener rejects, unless the
+ * listener belongs to an instance with its own handler. The remaining
+ * listeners are notified regardless. If the handler is null, which is the
+ * default, the errors are instead thrown as a ListenerError once every
+ * listener has been notified.
+ *
+ * @param {?function(any) : void} handler The new handler
+ * @returns {?function(any) : void} The previous handler
+ */
+export function setGlobalListenerErrorHandler(handler) {
+    const previous = globalListenerErrorHandler;
+    globalListenerErrorHandler = handler;
+    return previous;
+}
+
+/**
+ * Invokes the given function on each listener, such that an error from one
+ * listener does not prevent the remaining listeners from being invoked.
+ * Errors are passed to the given handler, or the global handler if there is
+ * none, or collected if there is neither. Usually used to implement
+ * observables and replica listeners.
+ *
+ * @template L
+ * @param {Array.<L>} listeners The listeners to invoke
+ * @param {function(L) : any} invoke Invokes a single listener
+ * @param {?function(any) : void} handler The error handler for the instance
+ *   the listeners belong to, or null to use the global handler
+ * @param {Array.<any>} errors Where errors are collected if not handled
+ * @returns {Promise.<void>|undefined} If any of the listeners returned a
+ *   promise, a promise which resolves when they have all settled and rejects
+ *   with a ListenerError if any of them rejected without being handled.
+ *   Otherwise, undefined.
+ */
+export function invokeListeners(listeners, invoke, handler, errors) {
+    const promises = [];
+    for (const listener of listeners.slice()) {
+        try {
+            const res = invoke(listener);
+            if (res instanceof Promise) {
+                promises.push(res);
+            }
+        } catch (e) {
+            handleListenerError(e, handler, errors);
+        }
+    }
+
+    if (promises.length === 0) {
+        return undefined;
+    }
+
+    return Promise.allSettled(promises).then((results) => {
+        const rejections = [];
+        for (const res of results) {
+            if (res.status === 'rejected') {
+                handleListenerError(res.reason, handler, rejections);
+            }
+        }
+        throwListenerErrors(rejections);
+    });
+}
+
+/**
+ * Passes the given error from a listener to the appropriate handler, or
+ * collects it if there is no handler.
+ * @param {any} error The error from the listener
+ * @param {?function(any) : void} handler The handler for the instance the
+ *   listener belongs to, or null
+ * @param {Array.<any>} errors Where to collect the error if not handled
+ */
+function handleListenerError(error, handler, errors) {
+    const fn = handler || globalListenerErrorHandler;
+    if (fn === null) {
+        collectListenerError(error, errors);
+        return;
+    }
+
+    try {
+        fn(error);
+    } catch (e) {
+        collectListenerError(e, errors);
+    }
+}
+
+/**
+ * Adds the given error to the list of errors from listeners, flattening it if
+ * it's a ListenerError (for example, from a listener which set a value whose
+ * listeners failed).
+ * @param {any} error The error
+ * @param {Array.<any>} errors Where to collect the error
+ */
+export function collectListenerError(error, errors) {
+    if (error instanceof ListenerError) {
+        errors.push(...error.errors);
+    } else {
+        errors.push(error);
+    }
+}
+
+/**
+ * Throws a ListenerError for the given errors, if there are any.
+ * @param {Array.<any>} errors The errors collected from listeners
+ */
+export function throwListenerErrors(errors) {
+    if (errors.length > 0) {
+        throw new ListenerError(errors);
+    }
+}
+
+/**
+ * Waits for all the given promises from notifying listeners to settle, then
+ * throws a ListenerError if any of them rejected or any errors were already
+ * collected.
+ * @param {Array.<Promise.<any>>} promises The promises to wait for
+ * @param {Array.<any>} errors The errors already collected
+ * @returns {Promise.<void>} A promise which resolves when the promises have
+ *   settled, unless there were errors
+ */
+export async function settleListenerPromises(promises, errors) {
+    if (promises.length > 0) {
+        const results = await Promise.allSettled(promises);
+        for (const res of results) {
+            if (res.status === 'rejected') {
+                collectListenerError(res.reason, errors);
+            }
+        }
+    }
+    throwListenerErrors(errors);
+}
+
+/**
+ * A structural equality check which is suitable for the equals option of
+ * observables and replica listener fields. Dates are equal if they refer to
+ * the same time, arrays if they have equal elements, and plain objects if
+ * they have the same keys with equal values. Anything else is compared with
+ * Object.is.
+ *
+ * @param {any} a The first value
+ * @param {any} b The second value
+ * @returns {boolean} True if the values are structurally equal, false
+ *   otherwise
+ */
+export function deepEquals(a, b) {
+    if (Object.is(a, b)) {
+        return true;
+    }
+
+    if (a instanceof Date && b instanceof Date) {
+        return a.getTime() === b.getTime();
+    }
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+        if (a.length !== b.length) {
+            return false;
+        }
+        for (let i = 0; i < a.length; i++) {
+            if (!deepEquals(a[i], b[i])) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        if (keys.length !== Object.keys(b).length) {
+            return false;
+        }
+        for (const key of keys) {
+            if (!Object.prototype.hasOwnProperty.call(b, key) || !deepEquals(a[key], b[key])) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * @param {any} value The value to check
+ * @returns {boolean} True if the value is an object created via an object
+ *   literal or Object.create(null), false otherwise
+ */
+function isPlainObject(value) {
+    if (typeof(value) !== 'object' || value === null) {
+        return false;
     }
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
 }
@@ -0,0 +1,252 @@
+import { Observable } from "./observable.js";
+
+/**
+ * Sets the value of the given observable from a timer, an event or a
+ * promise, where nothing would catch an error thrown by its listeners, so
+ * such errors are passed to Observable.reportError instead.
+ * @template T
+ * @param {Observable.<T>} observable The observable
+ * @param {T} value The new value
+ */
+function setValueAndReport(observable, value) {
+    try {
+        observable.value = value;
+    } catch (e) {
+        observable.reportError(e);
+    }
+}
+
+/**
+ * Creates a new observable whose value is the result of the given function
+ * on the value of the source observable, updated whenever the source changes.
+ * Disposing the returned observable stops it from being updated.
+ *
+ * @template T, J
+ * @param {Observable.<T>} source The observable to map
+ * @param {function(T) : J} fn The function to apply to the value of the source
+ * @returns {Observable.<J>} The mapped observable
+ */
+export function map(source, fn) {
+    const res = new Observable(fn(source.value));
+    res.onDispose(source.addListener((value) => res.value = fn(value)));
+    return res;
+}
+
+/**
+ * Creates a new observable whose value is the most recent value of the source
+ * observable which matched the given predicate. Disposing the returned
+ * observable stops it from being updated.
+ *
+ * @template T
+ * @param {Observable.<T>} source The observable to filter
+ * @param {function(T) : boolean} predicate Determines which values are kept
+ * @param {T} [initialValue] The value to use if the current value of the
+ *   source does not match the predicate
+ * @returns {Observable.<T>} The filtered observable
+ */
+export function filter(source, predicate, initialValue) {
+    const res = new Observable(predicate(source.value) ? source.value : initialValue);
+    res.onDispose(source.addListener((value) => {
+        if (predicate(value)) {
+            res.value = value;
+        }
+    }));
+    return res;
+}
+
+/**
+ * Creates a new observable which follows the source observable, except it
+ * only notifies its listeners when the value changes according to the given
+ * equality function. Disposing the returned observable stops it from being
+ * updated.
+ *
+ * @template T
+ * @param {Observable.<T>} source The observable to follow
+ * @param {function(T, T) : boolean} [equals=Object.is] Determines if two
+ *   values are equal, e.g., deepEquals
+ * @returns {Observable.<T>} The new observable
+ */
+export function distinctUntilChanged(source, equals) {
+    const res = new Observable(source.value, {equals});
+    res.onDispose(source.addListener((value) => res.value = value));
+    return res;
+}
+
+/**
+ * Creates a new observable which follows the source observable, but only
+ * once the source has not changed for the given number of milliseconds. This
+ * is typically used to avoid doing work on every keystroke. Disposing the
+ * returned observable stops it from being updated and cancels any pending
+ * update.
+ *
+ * @template T
+ * @param {Observable.<T>} source The observable to follow
+ * @param {number} ms How long the source must not change for, in
+ *   milliseconds
+ * @returns {Observable.<T>} The debounced observable
+ */
+export function debounce(source, ms) {
+    const res = new Observable(source.value);
+    let timeout = null;
+    res.onDispose(source.addListener((value) => {
+        if (timeout !== null) {
+            clearTimeout(timeout);
+        }
+        timeout = setTimeout(() => {
+            timeout = null;
+            setValueAndReport(res, value);
+        }, ms);
+    }));
+    res.onDispose(() => {
+        if (timeout !== null) {
+            clearTimeout(timeout);
+            timeout = null;
+        }
+    });
+    return res;
+}
+
+/**
+ * Creates a new observable which follows the source observable, but changes
+ * at most once per the given number of milliseconds. The first change is
+ * applied immediately; further changes within the interval are combined into
+ * a single change to the latest value at the end of the interval. Disposing
+ * the returned observable stops it from being updated and cancels any
+ * pending update.
+ *
+ * @template T
+ * @param {Observable.<T>} source The observable to follow
+ * @param {number} ms The minimum time between changes, in milliseconds
+ * @returns {Observable.<T>} The throttled observable
+ */
+export function throttle(source, ms) {
+    const res = new Observable(source.value);
+    let timeout = null;
+    let pending = false;
+    let latest = source.value;
+
+    const startInterval = () => {
+        timeout = setTimeout(() => {
+            timeout = null;
+            if (pending) {
+                pending = false;
+                setValueAndReport(res, latest);
+                startInterval();
+            }
+        }, ms);
+    };
+
+    res.onDispose(source.addListener((value) => {
+        latest = value;
+        if (timeout === null) {
+            res.value = value;
+            startInterval();
+        } else {
+            pending = true;
+        }
+    }));
+    res.onDispose(() => {
+        if (timeout !== null) {
+            clearTimeout(timeout);
+            timeout = null;
+        }
+    });
+    return res;
+}
+
+/**
+ * Creates a new observable whose value is an array of the values of each of
+ * the given observables, updated whenever any of them changes. Disposing the
+ * returned observable stops it from being updated.
+ *
+ * @template {Array.<Observable.<any>>} O
+ * @param {O} observables The observables to combine
+ * @returns {Observable.<{[I in keyof O]: O[I] extends Observable.<infer V> ? V : never}>}
+ *   The combined observable
+ */
+export function combineLatest(...observables) {
+    const values = () => observables.map((o) => o.value);
+    /** @type {Observable.<any>} */
+    const res = new Observable(values());
+    for (const o of observables) {
+        res.onDispose(o.addListener(() => res.value = values()));
+    }
+    return res;
+}
+
+/**
+ * Creates a new observable which has the given initial value until the
+ * given promise resolves, at which point it has the resolved value. If the
+ * promise rejects, the value does not change and the error is passed to
+ * onError, or if there is no onError, to Observable.reportError, which
+ * passes it to the observable's listener error handler or else throws it as
+ * an uncaught error. Errors from listeners when the promise resolves are
+ * reported the same way. Disposing the returned observable stops it from
+ * being updated.
+ *
+ * @template T, I
+ * @param {Promise.<T>} promise The promise to follow
+ * @param {I} [initialValue] The value until the promise resolves
+ * @param {object} [kwargs] Optional keyword arguments
+ * @param {function(any) : void} [kwargs.onError] Called with the reason if
+ *   the promise rejects
+ * @returns {Observable.<T|I>} The new observable
+ */
+export function fromPromise(promise, initialValue, kwargs) {
+    /** @type {Observable.<T|I>} */
+    const res = new Observable(initialValue);
+    let disposed = false;
+    res.onDispose(() => disposed = true);
+
+    const onError = kwargs && kwargs.onError;
+    promise.then(
+        (value) => {
+            if (!disposed) {
+                setValueAndReport(res, value);
+            }
+        },
+        (e) => {
+            if (disposed) {
+                return;
+            }
+            if (onError) {
+                onError(e);
+            } else {
+                res.reportError(e);
+            }
+        }
+    );
+    return res;
+}
+
+/**
+ * Creates a new observable whose value is the most recent event of the given
+ * name from the given target. The target may be a DOM EventTarget or a Node
+ * EventEmitter. Disposing the returned observable removes the event listener.
+ *
+ * For example, the width of the window:
+ *
+ * ```js
+ * const resizes = fromEvent(window, 'resize');
+ * const width = map(debounce(resizes, 100), () => window.innerWidth);
+ * ```
+ *
+ * @template [E=any]
+ * @param {{addEventListener: function(string, function(E) : void) : void, removeEventListener: function(string, function(E) : void) : void}|{on: function(string, function(E) : void) : any, off: function(string, function(E) : void) : any}} target
+ *   The target to listen to
+ * @param {string} name The name of the event
+ * @param {E} [initialValue] The value until the first event
+ * @returns {Observable.<E>} The new observable
+ */
+export function fromEvent(target, name, initialValue) {
+    const res = new Observable(initialValue);
+    const listener = (/** @type {E} */ event) => setValueAndReport(res, event);
+    if ('addEventListener' in target) {
+        target.addEventListener(name, listener);
+        res.onDispose(() => target.removeEventListener(name, listener));
+    } else {
+        target.on(name, listener);
+        res.onDispose(() => target.off(name, listener));
+    }
+    return res;
+}
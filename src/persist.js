@@ -0,0 +1,360 @@
+import { Observable } from "./observable.js";
+import { applyPatch, observeChanges, stateMutations } from "./mutations.js";
+import { toJSONValue } from "./replica_listener.js";
+
+/**
+ * Where persist() keeps the state of a replica listener, as strings by key.
+ * Either method may return a promise. localStorage and sessionStorage can be
+ * used as they are.
+ *
+ * @typedef {object} PersistStorage
+ * @property {function(string) : (?string|Promise.<?string>)} getItem Gets
+ *   the string stored under the key, or null if there is none
+ * @property {function(string, string) : (void|Promise.<void>)} setItem Stores
+ *   the string under the key
+ */
+
+/**
+ * How saving is going, reported by persist().
+ *
+ * - `loading`: the stored state is being read
+ * - `saved`: the storage holds the current state
+ * - `pending`: there are changes which haven't been saved yet. This is
+ *   reported in a microtask after the change rather than during it.
+ * - `saving`: the state is being written
+ * - `error`: reading or writing failed, with the reason in error. A failed
+ *   write is tried again on the next change or flush(). After a failed read,
+ *   such as of data stored by a newer version of the app, nothing is written
+ *   until overwrite() is called, so that the stored data isn't lost.
+ *
+ * @typedef {object} PersistStatus
+ * @property {'loading'|'saved'|'pending'|'saving'|'error'} state Where
+ *   saving is at
+ * @property {any} error What went wrong, if state is error, or else null
+ */
+
+/**
+ * The link between a replica listener and its storage, created by persist().
+ *
+ * @typedef {object} Persistence
+ * @property {Promise.<void>} ready Resolves once the stored state, if any,
+ *   has been loaded, even if loading failed
+ * @property {Observable.<PersistStatus>} status How saving is going. Errors
+ *   from its listeners are passed to its listener error handler (see
+ *   Observable.reportError) rather than stopping saves or being thrown to
+ *   whoever changed the replica listener.
+ * @property {function() : Promise.<void>} flush Saves any changes now rather
+ *   than waiting, resolving once they are written
+ * @property {function() : Promise.<void>} overwrite Saves the current state
+ *   even though the stored state couldn't be loaded, replacing it, and then
+ *   goes back to saving changes as usual
+ * @property {function() : Promise.<void>} dispose Stops saving changes after
+ *   saving any which are pending, and disposes status
+ */
+
+/**
+ * Keeps the given replica listener or ArrayListenerOf saved in the given
+ * storage. The stored state, if there is any, is loaded into it first,
+ * without being written back. After that, changes anywhere within it are
+ * saved, a while after the last of them so that a burst of changes is
+ * written once. For example:
+ *
+ * ```js
+ * const draft = hydrate(draftSchema, {text: '', attachments: []});
+ * const saving = persist(draft, {storage: localStorage, key: 'draft', schema: draftSchema});
+ * saving.status.addListener(({state}) => savedIndicator.hidden = state !== 'saved');
+ * await saving.ready;
+ * ```
+ *
+ * Changes made before the stored state is loaded are overwritten by it and
+ * not saved, so wait for ready before making any. If the stored state can't
+ * be loaded, status reports the error and nothing is saved until
+ * overwrite() is called, e.g. once the user agrees to discard it.
+ *
+ * @param {any} replica The replica listener or ArrayListenerOf to keep
+ * @param {object} kwargs Keyword arguments
+ * @param {PersistStorage} kwargs.storage Where to keep it
+ * @param {string} kwargs.key What to keep it under
+ * @param {number} [kwargs.debounceMs=500] How long in milliseconds to wait
+ *   after a change for further changes before saving
+ * @param {function(any) : string} [kwargs.serialize=JSON.stringify] Converts
+ *   the state, as from toJSON(), to the string to store
+ * @param {function(string) : any} [kwargs.deserialize=JSON.parse] Converts a
+ *   stored string back to the state
+ * @param {any} [kwargs.schema] Describes the replica listener as for
+ *   hydrate(), so that replica listeners, arrays and dates are rebuilt from
+ *   the stored state. Without one, values are used as they are stored.
+ * @returns {Persistence} The link to the storage
+ */
+export function persist(replica, kwargs) {
+    const {storage, key, debounceMs, serialize, deserialize, schema} = Object.assign({
+        storage: null,
+        key: null,
+        debounceMs: 500,
+        serialize: JSON.stringify,
+        deserialize: JSON.parse,
+        schema: undefined,
+    }, kwargs);
+    if (storage === null || key === null) {
+        throw new Error('persist() needs a storage and a key');
+    }
+
+    /** @type {Observable.<PersistStatus>} */
+    const status = new Observable({state: 'loading', error: null}, {
+        equals: (a, b) => a.state === b.state && a.error === b.error,
+    });
+
+    /** True until the stored state is loaded, while changes are not saved. */
+    let loading = true;
+    /**
+     * True if the stored state couldn't be loaded, in which case it's not
+     * overwritten until overwrite() is called.
+     */
+    let loadFailed = false;
+    /** Whether there are changes which haven't been written. */
+    let dirty = false;
+    let timer = null;
+    /** @type {Promise.<void>} Settles once the latest save is done */
+    let saving = Promise.resolve();
+
+    // errors from status listeners are reported rather than thrown, so that
+    // they can't stop saving
+    const setStatus = (state, error) => {
+        try {
+            status.value = {state, error};
+        } catch (e) {
+            status.reportError(e);
+        }
+    };
+
+    const save = () => {
+        if (timer !== null) {
+            clearTimeout(timer);
+            timer = null;
+        }
+
+        saving = saving.then(async () => {
+            if (!dirty || loadFailed) {
+                return;
+            }
+
+            dirty = false;
+            setStatus('saving', null);
+            try {
+                await storage.setItem(key, serialize(toJSONValue(replica)));
+            } catch (e) {
+                dirty = true;
+                setStatus('error', e);
+                return;
+            }
+            setStatus(dirty ? 'pending' : 'saved', null);
+        }).catch((e) => status.reportError(e));
+        return saving;
+    };
+
+    const stopObserving = observeChanges(replica, () => {
+        if (loading) {
+            return;
+        }
+
+        dirty = true;
+        if (loadFailed) {
+            return;
+        }
+        if (timer !== null) {
+            clearTimeout(timer);
+        }
+        timer = setTimeout(save, debounceMs);
+
+        // outside of the change, so that errors from status listeners aren't
+        // thrown to whoever made it
+        queueMicrotask(() => {
+            if (dirty && !loadFailed && status.value.state !== 'saving') {
+                setStatus('pending', null);
+            }
+        });
+    });
+
+    const ready = (async () => {
+        try {
+            const stored = await storage.getItem(key);
+            if (stored !== null && stored !== undefined) {
+                const mutations = stateMutations(replica, deserialize(stored));
+                replica.transaction(() => {
+                    for (const mutation of mutations) {
+                        applyPatch(replica, mutation, schema);
+                    }
+                });
+            }
+        } catch (e) {
+            loadFailed = true;
+            setStatus('error', e);
+            return;
+        } finally {
+            loading = false;
+        }
+        setStatus('saved', null);
+    })();
+
+    return {
+        ready,
+        status,
+        flush() {
+            return ready.then(save);
+        },
+        overwrite() {
+            return ready.then(() => {
+                loadFailed = false;
+                dirty = true;
+                return save();
+            });
+        },
+        async dispose() {
+            stopObserving();
+            await ready;
+            await save();
+            status.dispose();
+        },
+    };
+}
+
+/**
+ * Creates a PersistStorage which keeps strings in memory, for tests and for
+ * environments without any other storage.
+ *
+ * @param {Object.<string, string>} [initial] What it holds to begin with
+ * @returns {PersistStorage & {removeItem: function(string) : void}} The storage
+ */
+export function newMemoryStorage(initial) {
+    /** @type {Map.<string, string>} */
+    const items = new Map(Object.entries(initial || {}));
+    return {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => {
+            items.set(key, String(value));
+        },
+        removeItem: (key) => {
+            items.delete(key);
+        },
+    };
+}
+
+/**
+ * Creates a PersistStorage which keeps strings in an IndexedDB object store,
+ * which is created if need be, upgrading the database to a new version if it
+ * already exists without the store. The database is opened on first use.
+ *
+ * @param {object} [kwargs] Optional keyword arguments
+ * @param {string} [kwargs.name='replica-listener'] The name of the database
+ * @param {string} [kwargs.store='state'] The name of the object store
+ * @param {any} [kwargs.indexedDB=globalThis.indexedDB] The IndexedDB
+ *   factory to open the database with
+ * @returns {PersistStorage} The storage
+ */
+export function newIndexedDBStorage(kwargs) {
+    const {name, store, indexedDB} = Object.assign({
+        name: 'replica-listener',
+        store: 'state',
+        indexedDB: globalThis.indexedDB,
+    }, kwargs);
+
+    const request = (req) => new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+
+    const openVersion = (version) => {
+        const req = version === undefined ? indexedDB.open(name) : indexedDB.open(name, version);
+        req.onupgradeneeded = () => {
+            if (!req.result.objectStoreNames.contains(store)) {
+                req.result.createObjectStore(store);
+            }
+        };
+        return request(req);
+    };
+    const connect = async () => {
+        let conn = await openVersion(undefined);
+        if (!conn.objectStoreNames.contains(store)) {
+            // the database already exists without the store, which can only
+            // be created by upgrading it to a new version
+            const version = conn.version + 1;
+            conn.close();
+            conn = await openVersion(version);
+        }
+        // let other connections upgrade the database, reconnecting after
+        conn.onversionchange = () => {
+            conn.close();
+            db = null;
+        };
+        return conn;
+    };
+
+    /** @type {?Promise.<any>} */
+    let db = null;
+    const open = () => {
+        if (db === null) {
+            db = connect();
+            db.catch(() => {
+                db = null;
+            });
+        }
+        return db;
+    };
+
+    return {
+        getItem: async (key) => {
+            const value = await request((await open()).transaction(store).objectStore(store).get(key));
+            return value === undefined ? null : value;
+        },
+        setItem: async (key, value) => {
+            const tx = (await open()).transaction(store, 'readwrite');
+            tx.objectStore(store).put(value, key);
+            await new Promise((resolve, reject) => {
+                tx.oncomplete = () => resolve(undefined);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        },
+    };
+}
+
+/**
+ * Creates a PersistStorage which keeps each key in its own file in the given
+ * directory, for Node. The fs/promises module is passed in so that this
+ * library can be loaded where there is none:
+ *
+ * ```js
+ * import fs from 'node:fs/promises';
+ * persist(settings, {storage: newFileStorage(fs, './data'), key: 'settings'});
+ * ```
+ *
+ * Files are replaced by renaming a fully written temporary file over them,
+ * so a crash while saving never leaves a partly written one.
+ *
+ * @param {any} fs The fs/promises module
+ * @param {string} directory The directory to keep the files in, which is
+ *   created if need be
+ * @returns {PersistStorage} The storage
+ */
+export function newFileStorage(fs, directory) {
+    const pathOf = (key) => `${directory}/${encodeURIComponent(key)}.json`;
+
+    return {
+        getItem: async (key) => {
+            try {
+                return await fs.readFile(pathOf(key), 'utf8');
+            } catch (e) {
+                if (e && e.code === 'ENOENT') {
+                    return null;
+                }
+                throw e;
+            }
+        },
+        setItem: async (key, value) => {
+            const path = pathOf(key);
+            await fs.mkdir(directory, {recursive: true});
+            await fs.writeFile(`${path}.tmp`, value, 'utf8');
+            await fs.rename(`${path}.tmp`, path);
+        },
+    };
+}
@@ -0,0 +1,151 @@
+import { applyPatch, observeMutations, stateMutations } from "./mutations.js";
+import { toJSONValue } from "./replica_listener.js";
+import { newDisposer } from "./subscription_scope.js";
+
+/**
+ * Something which messages can be posted to and received from, such as a
+ * MessagePort, a Worker, a BroadcastChannel, or a worker_threads MessagePort
+ * in Node.
+ *
+ * @typedef {{postMessage: function(any) : void, addEventListener: function(string, function(any) : void) : void, removeEventListener: function(string, function(any) : void) : void, start?: function() : void}|{postMessage: function(any) : void, on: function(string, function(any) : void) : any, off: function(string, function(any) : void) : any}} MessagePortLike
+ */
+
+/**
+ * Links the given replica listener or ArrayListenerOf to a counterpart on
+ * the other side of a message channel, such as one in a web worker, in
+ * another tab, or in a Node worker thread. Changes on either side are sent
+ * to the other as mutations (see observeMutations) in the order they are
+ * made, and applied there just like changes from an attached replica.
+ *
+ * One side must start with the other's state, which it asks for when
+ * attached by passing copy: true. The other side also sends its state when
+ * it attaches, so either side may attach first. Until the state arrives,
+ * changes from the other side are ignored since the state includes them,
+ * and changes made on this side are not sent since the state overwrites
+ * them. For example:
+ *
+ * ```js
+ * // main thread
+ * const worker = new Worker('worker.js', {type: 'module'});
+ * const detach = attachRemote(chat, worker);
+ *
+ * // worker.js
+ * const chat = hydrate(chatSchema, {title: '', messages: []});
+ * attachRemote(chat, self, {schema: chatSchema, copy: true});
+ * ```
+ *
+ * Mutations are applied as they arrive, without resolving conflicts, so
+ * only one side may change the replica listener at a time. If both sides
+ * change it before receiving each other's changes, such as each splicing
+ * the same array, the two sides silently end up different. Use connectSync()
+ * when several sides may make changes concurrently.
+ *
+ * Several replica listeners can share a port by giving each a different
+ * name. Calling the returned function detaches this side and tells the
+ * other side to detach too.
+ *
+ * @param {any} replica The replica listener or ArrayListenerOf to link
+ * @param {MessagePortLike} port The channel to the counterpart
+ * @param {object} [kwargs] Optional keyword arguments
+ * @param {any} [kwargs.schema] Describes the replica listener as for
+ *   hydrate(), so that replica listeners, arrays and dates are rebuilt from
+ *   the messages. Without one, values are used as they are received.
+ * @param {boolean} [kwargs.copy=false] If true, the state of the counterpart
+ *   is copied into this replica listener when attaching. Otherwise this side
+ *   sends its state when attaching and whenever a counterpart asks for it.
+ * @param {string} [kwargs.name='default'] Distinguishes this link from other
+ *   links on the same port
+ * @returns {function() : void} A function which detaches the link on both
+ *   sides
+ */
+export function attachRemote(replica, port, kwargs) {
+    const {schema, copy, name} = Object.assign({schema: undefined, copy: false, name: 'default'}, kwargs);
+
+    let waitingForState = copy;
+    /**
+     * True while applying a mutation from the other side until it's
+     * reported, so that it isn't sent back. Changes made by listeners in
+     * response still are.
+     */
+    let echo = false;
+
+    const post = (type, data) => port.postMessage(Object.assign({replicaListener: name, type}, data));
+    const apply = (mutations) => {
+        for (const mutation of mutations) {
+            // listeners are notified of the change before any changes they
+            // make in response, so it's reported first, unless it changed
+            // nothing
+            echo = true;
+            try {
+                applyPatch(replica, mutation, schema);
+            } finally {
+                echo = false;
+            }
+        }
+    };
+
+    const stopObserving = observeMutations(replica, (mutation) => {
+        if (echo) {
+            echo = false;
+            return;
+        }
+        if (waitingForState) {
+            return;
+        }
+        post('mutation', {mutation});
+    });
+
+    const onMessage = (data) => {
+        if (typeof(data) !== 'object' || data === null || data.replicaListener !== name) {
+            return;
+        }
+
+        if (data.type === 'request') {
+            if (!waitingForState) {
+                post('state', {value: toJSONValue(replica)});
+            }
+        } else if (data.type === 'state') {
+            if (waitingForState) {
+                waitingForState = false;
+                apply(stateMutations(replica, data.value));
+            }
+        } else if (data.type === 'mutation') {
+            if (!waitingForState) {
+                apply([data.mutation]);
+            }
+        } else if (data.type === 'detach') {
+            stop();
+        }
+    };
+
+    let stopListening;
+    if ('addEventListener' in port) {
+        const listener = (event) => onMessage(event.data);
+        port.addEventListener('message', listener);
+        if (typeof(port.start) === 'function') {
+            port.start();
+        }
+        stopListening = () => port.removeEventListener('message', listener);
+    } else {
+        port.on('message', onMessage);
+        stopListening = () => port.off('message', onMessage);
+    }
+
+    const stop = newDisposer(() => {
+        stopObserving();
+        stopListening();
+    });
+
+    // whichever side attaches second gets the state: either the request or
+    // the state is received by a side which is already listening
+    if (copy) {
+        post('request', {});
+    } else {
+        post('state', {value: toJSONValue(replica)});
+    }
+
+    return newDisposer(() => {
+        post('detach', {});
+        stop();
+    });
+}
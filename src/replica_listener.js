@@ -1,4 +1,5 @@
-import { Observable } from "./observable.js";
+import { newDisposer } from "./subscription_scope.js";
+import { Observable, batch, batchWithPromise, collectListenerError, deliverNotifications, invokeListeners, queueNotification, recordRollback, settleListenerPromises, throwListenerErrors } from "./observable.js";
 
 /**
  * The interface for a replica-listener. A replica-listener is an object which
@@ -30,9 +31,18 @@ export class ReplicaListener {
      * with replicatedTo set to this instance, and updates this instances
      * replicatedTo to the new replica.
      *
+     * Field values are shared with the replica, unless they are replica
+     * listeners themselves and either deep is set or the field is marked to
+     * be replicated. Then the replica gets a replica of the value instead, so
+     * that listeners on it are namespaced too, and which is detached and has
+     * its listeners cleared along with the replica.
+     *
+     * @param {object} [kwargs] Optional keyword arguments
+     * @param {boolean} [kwargs.deep=false] If true, every field whose value
+     *   is a replica listener is replicated, recursively
      * @returns {this} A replica of this fields
      */
-    createReplica() {
+    createReplica(kwargs) {
         throw new Error('not implemented');
     }
 
@@ -79,7 +89,8 @@ export class ReplicaListener {
      * Detaches this instance from all replicas, bidirectionally.
      *
      * This should result in this instance having an empty replicatedTo
-     * and not being in any other replicas replicatedTo.
+     * and not being in any other replicas replicatedTo. Any nested replicas
+     * created along with this instance (see createReplica) are detached too.
      */
     detach() {
         throw new Error('not implemented');
@@ -98,28 +109,126 @@ export class ReplicaListener {
     clone() {
         throw new Error('not implemented');
     }
+
+    /**
+     * Runs the given function as a batch, meaning that listeners on this
+     * instance, its replicas, and anything else changed by the function are
+     * only notified after the function completes, at which point every change
+     * is visible. If the function throws, the changes are reverted without
+     * notifying listeners. See batch() for details.
+     *
+     * @template R
+     * @param {function() : R} fn The function which makes the changes
+     * @returns {R} The result of the function
+     */
+    transaction(fn) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Runs the given function as a batch just like transaction(), except if
+     * there are any listeners which return a promise, this waits for all
+     * those promises to resolve before this resolves.
+     *
+     * @template R
+     * @param {function() : R} fn The function which makes the changes
+     * @returns {Promise.<R>} A promise which resolves to the result of the
+     *   function once all listeners have been notified
+     */
+    transactionWithPromise(fn) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Sets the function which is called with any error thrown by a listener
+     * on this instance, or with the reason any promise returned by a listener
+     * on this instance rejects. Every listener is notified regardless. This
+     * is not shared with replicas.
+     *
+     * @param {?function(any) : void} handler The handler, or null to use the
+     *   global handler (see setGlobalListenerErrorHandler)
+     */
+    setListenerErrorHandler(handler) {
+        throw new Error('not implemented');
+    }
 }
 
+/**
+ * The type of the value at the given path within a value of type T, such as
+ * 'name' within an author for the path 'author.name'. Every field along the
+ * path but the last must be a ListenerOf or GetterOf.
+ * @template T The type to follow the path within
+ * @template {string} P The path, relative to T
+ * @typedef {T extends {fieldTypes: any} ? (P extends `${infer F}.${infer R}` ? PathValue.<T['fieldTypes'][F], R> : T['fieldTypes'][P]) : never} PathValue
+ */
+
 /**
  * The interface for a listener for a given field.
  * @template T The type of the field
  * @template {string} K The name of the field
  */
 export class ListenerOf {
+    /**
+     * The type of the field, keyed by its name. This only exists for type
+     * inference, such as for paths, and is not available at runtime.
+     * @returns {{[key in K]: T}}
+     */
+    get fieldTypes() {
+        throw new Error('not implemented');
+    }
+
     /**
      * @param {K} field The name of the field
      * @returns {T} The value of the field
      */
+    get(field); // @@type-hint
+
+    /**
+     * @template {string} P
+     * @param {`${K}.${P}`} path A path through this field, such as
+     *   'author.name'
+     * @returns {PathValue.<T, P>} The value at the path, or undefined if a
+     *   field along the path is null
+     */
+    get(path); // @@type-hint
+
+    /**
+     * Gets the value of the given field, or the value at the given path
+     * through nested listeners, such as 'author.name'.
+     * @param {string} field The name of the field, or a path
+     * @returns {any} The value
+     */
     get(field) {
         throw new Error('not implemented');
     }
 
     /**
-     * Sets the value of the given field. If this instance is a ReplicaListener,
-     * this will also update all replicas.
      * @param {K} field The name of the field
      * @param {T} value The value of the field
      */
+    set(field, value); // @@type-hint
+
+    /**
+     * @template {string} P
+     * @param {`${K}.${P}`} path A path through this field, such as
+     *   'author.name'
+     * @param {PathValue.<T, P>} value The value to set
+     */
+    set(path, value); // @@type-hint
+
+    /**
+     * Sets the value of the given field. If this instance is a ReplicaListener,
+     * this will also update all replicas. If the value is equal to the current
+     * value of the field, listeners are not notified. If any listeners throw,
+     * the remaining listeners are still notified and then a ListenerError is
+     * thrown.
+     *
+     * A path such as 'author.name' sets the field of the nested listener,
+     * which updates its replicas instead. Throws if a field along the path is
+     * null.
+     * @param {string} field The name of the field, or a path
+     * @param {any} value The value of the field
+     */
     set(field, value) {
         throw new Error('not implemented');
     }
@@ -137,39 +246,109 @@ export class ListenerOf {
     }
 
     /**
-     * Adds a listener for the given field
      * @param {K} field The name of the field
-     * @param {function(T) : any} listener The listener to call when
+     * @param {function(T, T) : any} listener The listener to call when
+     *   the fields value changes
+     * @returns {function() : void} A function which removes the listener
+     */
+    addListener(field, listener); // @@type-hint
+
+    /**
+     * @template {string} P
+     * @param {`${K}.${P}`} path A path through this field, such as
+     *   'author.name'
+     * @param {function(PathValue.<T, P>, PathValue.<T, P>) : any} listener
+     *   The listener to call when the value at the path changes
+     * @returns {function() : void} A function which removes the listener
+     */
+    addListener(path, listener); // @@type-hint
+
+    /**
+     * Adds a listener for the given field. The listener is passed the new
+     * value and the value before the change.
+     *
+     * A path such as 'author.name' listens to the field of the nested
+     * listener, and follows the path again whenever a field along it, such
+     * as author, is replaced. The listener is called if that changes the
+     * value at the path.
+     * @param {string} field The name of the field, or a path
+     * @param {function(any, any) : any} listener The listener to call when
      *   the fields value changes
+     * @returns {function() : void} A function which removes the listener
      */
     addListener(field, listener) {
         throw new Error('not implemented');
     }
 
     /**
-     * Removes a listener for the given field
-     * @param {K} field The name of the field
-     * @param {function(T) : any} listener The listener to remove
+     * Removes a listener for the given field or path
+     * @param {K|string} field The name of the field, or a path
+     * @param {function(any, any) : any} listener The listener to remove
      */
     removeListener(field, listener) {
         throw new Error('not implemented');
     }
 
     /**
-     * Adds the given listener and invokes the function immediately. This
-     * is convenient in some contexts.
      * @param {K} field The name of the field
-     * @param {function(T) : any} listener The listener to add and invoke
+     * @param {function(T, T=) : any} listener The listener to add and
+     *   invoke. When invoked immediately there is no previous value.
+     * @returns {function() : void} A function which removes the listener
+     */
+    addListenerAndInvoke(field, listener); // @@type-hint
+
+    /**
+     * @template {string} P
+     * @param {`${K}.${P}`} path A path through this field, such as
+     *   'author.name'
+     * @param {function(PathValue.<T, P>, PathValue.<T, P>=) : any} listener
+     *   The listener to add and invoke. When invoked immediately there is no
+     *   previous value.
+     * @returns {function() : void} A function which removes the listener
+     */
+    addListenerAndInvoke(path, listener); // @@type-hint
+
+    /**
+     * Adds the given listener and invokes the function immediately. This
+     * is convenient in some contexts. Supports paths like addListener.
+     * @param {string} field The name of the field, or a path
+     * @param {function(any, any=) : any} listener The listener to add and
+     *   invoke. When invoked immediately there is no previous value.
+     * @returns {function() : void} A function which removes the listener
      */
     addListenerAndInvoke(field, listener) {
         throw new Error('not implemented');
     }
 
+    /**
+     * Adds a listener for changes to any field of this instance, not just
+     * this one, which is passed the name of the field, its new value and its
+     * value before the change. This is convenient for generic behavior such
+     * as logging or autosaving. Computed fields are kept up to date while
+     * there are any such listeners.
+     * @param {function(string, any, any) : any} listener The listener to
+     *   call when any field changes
+     * @returns {function() : void} A function which removes the listener
+     */
+    addAnyListener(listener) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Removes a listener added with addAnyListener
+     * @param {function(string, any, any) : any} listener The listener to
+     *   remove
+     */
+    removeAnyListener(listener) {
+        throw new Error('not implemented');
+    }
+
     /**
      * Creates a new derivative observable for the given field, whose
      * value changing does not modify the field, but whose value is
      * changed to match the result of the function on the new value when
-     * the field changes.
+     * the field changes. Disposing the observable stops it from being
+     * updated.
      * @template J
      * @param {K} field The name of the field
      * @param {function(T) : J} func The transformation function
@@ -180,28 +359,196 @@ export class ListenerOf {
     }
 
     /**
-     * Clears all listeners on the given field.
-     * @param {K} [field] The name of the field. Omitted for all fields.
+     * Creates a new observable for the given field which works in both
+     * directions: its value is changed to match get on the new value when
+     * the field changes, and setting its value sets the field, on every
+     * replica, to the result of set. For example, a text input over a
+     * numeric field:
+     *
+     * ```js
+     * const text = listener.newLensObservable(
+     *     'fontSize', (size) => size.toString(), (text, size) => parseInt(text) || size
+     * );
+     * ```
+     *
+     * A value written to the observable is not replaced by get on the
+     * resulting field value, so e.g. '12.' stays as written rather than
+     * becoming '12'. Disposing the observable detaches it from the field.
+     * @template J
+     * @param {K} field The name of the field
+     * @param {function(T) : J} get Converts the value of the field
+     * @param {function(J, T) : T} set Converts a value written to the
+     *   observable, and the current value of the field, into the new value
+     *   for the field
+     * @returns {Observable.<J>} The observable
+     */
+    newLensObservable(field, get, set) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Clears all listeners on the given field. Clearing all fields also
+     * removes the listeners which arrays tracking this as an item (see
+     * newArrayListenerOf) and observeChanges() rely on, so they stop hearing
+     * about changes to it.
+     * @param {K} [field] The name of the field. Omitted for all fields,
+     *   including those added with addAnyListener.
      */
     clearListeners(field) {
         throw new Error('not implemented');
     }
+
+    /**
+     * Gets the values of the fields, other than computed fields, as plain
+     * data suitable for JSON.stringify. Values which are replica listeners
+     * themselves are converted too. See hydrate() for the reverse.
+     *
+     * @returns {object} The values of the fields, keyed by their names
+     */
+    toJSON() {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Gets the names of the fields which can be set, i.e., every field other
+     * than computed fields.
+     *
+     * @returns {Array.<string>} The names of the fields
+     */
+    keys() {
+        throw new Error('not implemented');
+    }
 }
 
 /**
  * The restricted interface for a read-only field which otherwise acts like
- * ListenerOf
+ * ListenerOf, such as a computed field.
  * @template T The type of the field
  * @template {string} K The name of the field
  */
 export class GetterOf {
+    /**
+     * The type of the field, keyed by its name. This only exists for type
+     * inference, such as for paths, and is not available at runtime.
+     * @returns {{[key in K]: T}}
+     */
+    get fieldTypes() {
+        throw new Error('not implemented');
+    }
+
     /**
      * @param {K} field The name of the field
      * @returns {T} The value of the field
      */
+    get(field); // @@type-hint
+
+    /**
+     * @template {string} P
+     * @param {`${K}.${P}`} path A path through this field, such as
+     *   'author.name'
+     * @returns {PathValue.<T, P>} The value at the path, or undefined if a
+     *   field along the path is null
+     */
+    get(path); // @@type-hint
+
+    /**
+     * Gets the value of the given field, or the value at the given path
+     * through nested listeners, such as 'author.name'.
+     * @param {string} field The name of the field, or a path
+     * @returns {any} The value
+     */
     get(field) {
         throw new Error('not implemented');
     }
+
+    /**
+     * @param {K} field The name of the field
+     * @param {function(T, T) : any} listener The listener to call when
+     *   the fields value changes
+     * @returns {function() : void} A function which removes the listener
+     */
+    addListener(field, listener); // @@type-hint
+
+    /**
+     * @template {string} P
+     * @param {`${K}.${P}`} path A path through this field, such as
+     *   'author.name'
+     * @param {function(PathValue.<T, P>, PathValue.<T, P>) : any} listener
+     *   The listener to call when the value at the path changes
+     * @returns {function() : void} A function which removes the listener
+     */
+    addListener(path, listener); // @@type-hint
+
+    /**
+     * Adds a listener for the given field. The listener is passed the new
+     * value and the value before the change.
+     *
+     * A path such as 'author.name' listens to the field of the nested
+     * listener, and follows the path again whenever a field along it, such
+     * as author, is replaced. The listener is called if that changes the
+     * value at the path.
+     * @param {string} field The name of the field, or a path
+     * @param {function(any, any) : any} listener The listener to call when
+     *   the fields value changes
+     * @returns {function() : void} A function which removes the listener
+     */
+    addListener(field, listener) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Removes a listener for the given field or path
+     * @param {K|string} field The name of the field, or a path
+     * @param {function(any, any) : any} listener The listener to remove
+     */
+    removeListener(field, listener) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * @param {K} field The name of the field
+     * @param {function(T, T=) : any} listener The listener to add and
+     *   invoke. When invoked immediately there is no previous value.
+     * @returns {function() : void} A function which removes the listener
+     */
+    addListenerAndInvoke(field, listener); // @@type-hint
+
+    /**
+     * @template {string} P
+     * @param {`${K}.${P}`} path A path through this field, such as
+     *   'author.name'
+     * @param {function(PathValue.<T, P>, PathValue.<T, P>=) : any} listener
+     *   The listener to add and invoke. When invoked immediately there is no
+     *   previous value.
+     * @returns {function() : void} A function which removes the listener
+     */
+    addListenerAndInvoke(path, listener); // @@type-hint
+
+    /**
+     * Adds the given listener and invokes the function immediately. This
+     * is convenient in some contexts. Supports paths like addListener.
+     * @param {string} field The name of the field, or a path
+     * @param {function(any, any=) : any} listener The listener to add and
+     *   invoke. When invoked immediately there is no previous value.
+     * @returns {function() : void} A function which removes the listener
+     */
+    addListenerAndInvoke(field, listener) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Creates a new derivative observable for the given field, whose
+     * value is changed to match the result of the function on the new value
+     * when the field changes. Disposing the observable stops it from being
+     * updated.
+     * @template J
+     * @param {K} field The name of the field
+     * @param {function(T) : J} func The transformation function
+     * @returns {Observable.<J>} The observable
+     */
+    newDerivativeObservable(field, func) {
+        throw new Error('not implemented');
+    }
 }
 
 /**
@@ -217,6 +564,15 @@ export class GetterOf {
  *   inserted. Any array operation we think of as "one operation" can be
  *   converted into an equivalent singular splice (pop, shift, unshift,
  *   push, etc.)
+ * @property {function(number, number, T) : any} [move] Called when an item
+ *   is moved within the array. Passed the index it was at, the index it is
+ *   now at, and the item. If not implemented, splice is called to remove the
+ *   item and then again to insert it.
+ * @property {function(number, string, any, T) : any} [itemChanged] Called
+ *   when a field of an item changes, if the ArrayListenerOf tracks its items
+ *   (see newArrayListenerOf). Passed the index of the item, the name of the
+ *   field, its new value and the item itself. The index is as of the changes
+ *   the listener was told about so far, so the item may no longer be there.
  */
 
 /**
@@ -233,6 +589,9 @@ export class GetterOf {
  *   removed at the given index
  * @param {function(number, T) : any} [splicer.replace] Called when an item is
  *   replaced at the given index. If not implemented, we do a remove and insert.
+ * @param {function(number, number) : any} [splicer.move] Called when the item
+ *   at the first index is moved to the second index, which is its index after
+ *   the move. If not implemented, we do a remove and insert.
  * @param {object} [kwargs] Optional keyword arguments
  * @param {any} [kwargs.thisArg] The thisArg to use for the splicer functions
  * @returns {ArrayListener.<T>} The full array listener
@@ -244,6 +603,9 @@ export function simpleArrayListener(splicer, kwargs) {
         if (splicer.replace) {
             splicer.replace = splicer.replace.bind(kwargs.thisArg);
         }
+        if (splicer.move) {
+            splicer.move = splicer.move.bind(kwargs.thisArg);
+        }
     }
 
     let currentLength = 0;
@@ -301,6 +663,14 @@ export function simpleArrayListener(splicer, kwargs) {
                     currentLength++;
                 }
             }
+        },
+        move: (from, to, item) => {
+            if (splicer.move) {
+                splicer.move(from, to);
+            } else {
+                splicer.remove(from);
+                splicer.insert(to, item);
+            }
         }
     }
 }
@@ -333,9 +703,21 @@ export class ArrayListenerOf extends ReplicaListener {
 
     /**
      * Sets the value.
+     *
+     * If a key function is given, the elements of the new value are matched
+     * up with the current elements with the same key, and listeners are told
+     * about the fewest splices which turn the current value into the new
+     * value instead of being told the whole value was replaced. Elements
+     * whose keys match but which are not identical are replaced in place.
+     * For example, `set(rows, {key: row => row.id})` only touches the rows
+     * which changed.
+     *
      * @param {Array.<T>} value The value of the field
+     * @param {object} [kwargs] Optional keyword arguments
+     * @param {function(T) : any} [kwargs.key] Identifies elements across the
+     *   current and new value. Keys should be unique within each.
      */
-    set(value) {
+    set(value, kwargs) {
         throw new Error('not implemented');
     }
 
@@ -383,14 +765,74 @@ export class ArrayListenerOf extends ReplicaListener {
         throw new Error('not implemented');
     }
 
+    /**
+     * Moves the element at the given index such that it ends up at the
+     * other index, shifting the elements in between. Listeners are told
+     * about this as a move rather than a removal and insertion, so that,
+     * e.g., a DOM node can be moved rather than recreated.
+     * @param {number} from The index of the element to move
+     * @param {number} to The index of the element after the move
+     */
+    move(from, to) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Sets the element at the given index, which must already be in the
+     * array. Listeners are told about this as a splice replacing that one
+     * element.
+     * @param {number} index The index of the element to set
+     * @param {T} value The new value of the element
+     */
+    setAt(index, value) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Sets the elements from start up to but excluding end to the given value,
+     * like Array.prototype.fill. Listeners are told about this as a splice for
+     * each run of elements which actually changed.
+     * @param {T} value The value to fill with
+     * @param {number} [start=0] The first index to fill. Negative indices
+     *   count back from the end of the array.
+     * @param {number} [end] The index to stop filling at. Defaults to the
+     *   length of the array. Negative indices count back from the end of the
+     *   array.
+     */
+    fill(value, start, end) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Sorts the array in place, like Array.prototype.sort. Listeners are told
+     * about this as the fewest moves which reorder the array, so that, e.g.,
+     * DOM nodes are moved rather than recreated.
+     * @param {function(T, T) : number} [compareFn] Compares two elements. If
+     *   omitted, elements are sorted by their string conversions.
+     */
+    sort(compareFn) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Reverses the array in place. Listeners are told about this as moves,
+     * like sort().
+     */
+    reverse() {
+        throw new Error('not implemented');
+    }
+
     /**
      * Sets the value of the given field just like set(), except if there are
      * any listeners for that field which return a promise, this waits for all
      * those promises to resolve before this resolves.
      * @param {Array.<T>} value The value to set
+     * @param {object} [kwargs] Optional keyword arguments
+     * @param {function(T) : any} [kwargs.key] Identifies elements across the
+     *   current and new value, as in set()
      * @returns {Promise.<void>} A promise which resolves when the field is set
      */
-    setWithPromise(value) {
+    setWithPromise(value, kwargs) {
         throw new Error('not implemented');
     }
 
@@ -450,6 +892,69 @@ export class ArrayListenerOf extends ReplicaListener {
         throw new Error('not implemented');
     }
 
+    /**
+     * Moves an element just like move(), except if there are any listeners
+     * for that field which return a promise, this waits for all those
+     * promises to resolve before this resolves.
+     * @param {number} from The index of the element to move
+     * @param {number} to The index of the element after the move
+     * @returns {Promise.<void>} A promise which resolves when the element
+     *   is moved
+     */
+    moveWithPromise(from, to) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Sets an element just like setAt(), except if there are any listeners
+     * for that field which return a promise, this waits for all those
+     * promises to resolve before this resolves.
+     * @param {number} index The index of the element to set
+     * @param {T} value The new value of the element
+     * @returns {Promise.<void>} A promise which resolves when the element
+     *   is set
+     */
+    setAtWithPromise(index, value) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Fills the array just like fill(), except if there are any listeners
+     * for that field which return a promise, this waits for all those
+     * promises to resolve before this resolves.
+     * @param {T} value The value to fill with
+     * @param {number} [start=0] The first index to fill
+     * @param {number} [end] The index to stop filling at
+     * @returns {Promise.<void>} A promise which resolves when the array is
+     *   filled
+     */
+    fillWithPromise(value, start, end) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Sorts the array just like sort(), except if there are any listeners
+     * for that field which return a promise, this waits for all those
+     * promises to resolve before this resolves.
+     * @param {function(T, T) : number} [compareFn] Compares two elements
+     * @returns {Promise.<void>} A promise which resolves when the array is
+     *   sorted
+     */
+    sortWithPromise(compareFn) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Reverses the array just like reverse(), except if there are any
+     * listeners for that field which return a promise, this waits for all
+     * those promises to resolve before this resolves.
+     * @returns {Promise.<void>} A promise which resolves when the array is
+     *   reversed
+     */
+    reverseWithPromise() {
+        throw new Error('not implemented');
+    }
+
     /**
      * Adds a listener for the given field. This is called whenever the array
      * changes but does not provide context for how it was modified, which can
@@ -457,6 +962,7 @@ export class ArrayListenerOf extends ReplicaListener {
      *
      * @param {function(Array.<T>) : any} listener The listener to call when
      *   the fields value changes
+     * @returns {function() : void} A function which removes the listener
      */
     addListener(listener) {
         throw new Error('not implemented');
@@ -469,6 +975,7 @@ export class ArrayListenerOf extends ReplicaListener {
      *
      * @param {ArrayListener.<T>} listener The listeners to call when the fields value
      *   changes
+     * @returns {function() : void} A function which removes the listener
      */
     addArrayListener(listener) {
         throw new Error('not implemented');
@@ -496,6 +1003,7 @@ export class ArrayListenerOf extends ReplicaListener {
      * Adds the given listener and invokes the function immediately. This
      * is convenient in some contexts.
      * @param {function(Array.<T>) : any} listener The listener to add and invoke
+     * @returns {function() : void} A function which removes the listener
      */
     addListenerAndInvoke(listener) {
         throw new Error('not implemented');
@@ -506,6 +1014,7 @@ export class ArrayListenerOf extends ReplicaListener {
      * immediately. This is convenient in some contexts.
      * @param {ArrayListener.<T>} listener The listeners to call when the fields value
      *   changes
+     * @returns {function() : void} A function which removes the listener
      */
     addArrayListenerAndInvoke(listener) {
         throw new Error('not implemented');
@@ -514,7 +1023,8 @@ export class ArrayListenerOf extends ReplicaListener {
     /**
      * Creates a new derivative observable, whose value changing does not modify
      * the field, but whose value is changed to match the result of the function
-     * on the new value when the field changes.
+     * on the new value when the field changes. Disposing the observable stops
+     * it from being updated.
      * @template J
      * @param {function(Array.<T>) : J} func The transformation function
      * @returns {Observable.<J>} The observable
@@ -529,6 +1039,68 @@ export class ArrayListenerOf extends ReplicaListener {
     clearListeners() {
         throw new Error('not implemented');
     }
+
+    /**
+     * Gets the elements as plain data suitable for JSON.stringify. Elements
+     * which are replica listeners are converted too.
+     *
+     * @returns {Array.<any>} The elements
+     */
+    toJSON() {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Creates a read-only view of the elements of this array which match the
+     * given predicate. Each change to this array is translated into the
+     * corresponding change to the view, rather than filtering again. The
+     * predicate is only applied to an element when it's added, so use
+     * setAt() to update an element which changed internally.
+     *
+     * Changing the view directly throws an error. Dispose of the view once
+     * it's no longer needed, so that it stops being updated.
+     * @param {function(T) : boolean} predicate Determines which elements are
+     *   in the view
+     * @returns {ArrayListenerOf.<T>} The view
+     */
+    filtered(predicate) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Creates a read-only view of the result of the given function on each
+     * element of this array, which is updated incrementally like filtered().
+     * @template J
+     * @param {function(T) : J} fn Transforms an element of this array into
+     *   an element of the view
+     * @returns {ArrayListenerOf.<J>} The view
+     */
+    mapped(fn) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Creates a read-only view of the elements of this array in sorted order,
+     * which is updated incrementally like filtered(): adding an element to
+     * this array inserts it at the right position in the view, and reordering
+     * this array does not change the view. Elements which compare equal are
+     * kept in the order they were added.
+     * @param {function(T, T) : number} [compareFn] Compares two elements. If
+     *   omitted, elements are sorted by their string conversions.
+     * @returns {ArrayListenerOf.<T>} The view
+     */
+    sorted(compareFn) {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * If this is a view created by filtered(), mapped() or sorted(), stops it
+     * from being updated. If this tracks its items, stops listening to them.
+     * Otherwise, this does nothing.
+     */
+    dispose() {
+        throw new Error('not implemented');
+    }
 }
 
 /**
@@ -541,8 +1113,10 @@ export class ArrayListenerOf extends ReplicaListener {
 class ArrayListenerOfImpl {
     /**
      * @param {Array.<T>} value
+     * @param {boolean} [trackItems=false] If listeners are told when a field
+     *   of an item changes
      */
-    constructor(value) {
+    constructor(value, trackItems) {
         /**
          * @type {Array.<T>}
          * @private
@@ -564,25 +1138,66 @@ class ArrayListenerOfImpl {
         this._listeners = [];
 
         /**
-         * @type {Array.<ArrayListenerOfImpl.<T>>}
+         * The function called with errors from listeners, or null to use
+         * the global handler
+         * @type {?function(any) : void}
+         * @private
          */
-        this.replicatedTo = [];
-    }
+        this._errorHandler = null;
 
-    /**
-     * @returns {ArrayListenerOfImpl.<T>}
-     */
-    createReplica() {
-        const res = new ArrayListenerOfImpl(this._value.slice());
-        res.replicatedTo.push(this);
-        this.replicatedTo.push(res);
-        return res;
-    }
+        /**
+         * True if this is a view of another array, or a replica of one, and
+         * hence cannot be changed directly
+         * @type {boolean}
+         * @private
+         */
+        this._readOnly = false;
 
-    /**
-     * @param {ArrayListenerOfImpl.<T>} other
-     */
-    copyFrom(other) {
+        /**
+         * If this is a view of another array, stops following it
+         * @type {?function() : void}
+         * @private
+         */
+        this._disposeView = null;
+
+        /**
+         * True if listeners are told when a field of an item changes
+         * @type {boolean}
+         * @private
+         */
+        this._trackItems = !!trackItems;
+
+        /**
+         * If tracking items, how many times each item is in the array and
+         * what removes the listener on it
+         * @type {Map.<any, {count: number, dispose: function() : void}>}
+         * @private
+         */
+        this._trackedItems = new Map();
+
+        /**
+         * @type {Array.<ArrayListenerOfImpl.<T>>}
+         */
+        this.replicatedTo = [];
+
+        this._updateTrackedItems([], this._value);
+    }
+
+    /**
+     * @returns {ArrayListenerOfImpl.<T>}
+     */
+    createReplica() {
+        const res = new ArrayListenerOfImpl(this._value.slice(), this._trackItems);
+        res._readOnly = this._readOnly;
+        res.replicatedTo.push(this);
+        this.replicatedTo.push(res);
+        return res;
+    }
+
+    /**
+     * @param {ArrayListenerOfImpl.<T>} other
+     */
+    copyFrom(other) {
         this.set(other.get().slice());
     }
 
@@ -609,7 +1224,14 @@ class ArrayListenerOfImpl {
                 return v['clone']();
             }
             return v;
-        }));
+        }), this._trackItems);
+    }
+
+    /**
+     * @returns {Array.<any>}
+     */
+    toJSON() {
+        return this._value.map(toJSONValue);
     }
 
     /**
@@ -618,6 +1240,24 @@ class ArrayListenerOfImpl {
         detachReplica(this);
     }
 
+    /**
+     * @template R
+     * @param {function() : R} fn
+     * @returns {R}
+     */
+    transaction(fn) {
+        return batch(fn);
+    }
+
+    /**
+     * @template R
+     * @param {function() : R} fn
+     * @returns {Promise.<R>}
+     */
+    transactionWithPromise(fn) {
+        return batchWithPromise(fn);
+    }
+
     /**
      * @returns {Array.<T>}
      */
@@ -635,23 +1275,12 @@ class ArrayListenerOfImpl {
 
     /**
      * @param {Array.<T>} value
+     * @param {{key?: function(T) : any}} [kwargs]
      */
-    set(value) {
-        recurseReplicas(
-            this,
-            /** @param {ArrayListenerOfImpl.<T>} replica */
-            (replica) => {
-                replica._value = value.slice();
-                replica._arrayListeners.forEach(listener => {
-                    if (listener.set) {
-                        listener.set(replica._value);
-                    }
-                });
-                replica._listeners.forEach(listener => {
-                    listener(replica._value);
-                });
-            }
-        );
+    set(value, kwargs) {
+        const errors = [];
+        this._set(value, kwargs, errors);
+        throwListenerErrors(errors);
     }
 
     /**
@@ -689,61 +1318,67 @@ class ArrayListenerOfImpl {
      * @returns {Array.<T>} The deleted elements
      */
     splice(start, deleteCount, ...items) {
-        let deleted = null;
-        recurseReplicas(
-            this,
-            (
-                /** @param {ArrayListenerOfImpl.<T>} replica */
-                (replica) => {
-                    const replicaDeleted = replica._value.splice(start, deleteCount, ...items);
-                    if (replica === this) {
-                        deleted = replicaDeleted;
-                    }
-                    replica._arrayListeners.forEach(listener => {
-                        if (listener.splice) {
-                            listener.splice(start, deleteCount, ...items);
-                        }
-                    });
-                    replica._listeners.forEach(listener => {
-                        listener(replica._value);
-                    });
-                }
-            ).bind(this)
-        );
+        const errors = [];
+        const { deleted } = this._splice(start, deleteCount, items, errors);
+        throwListenerErrors(errors);
         return deleted;
     }
 
+    /**
+     * @param {number} from
+     * @param {number} to
+     */
+    move(from, to) {
+        const errors = [];
+        this._move(from, to, errors);
+        throwListenerErrors(errors);
+    }
+
+    /**
+     * @param {number} index
+     * @param {T} value
+     */
+    setAt(index, value) {
+        const errors = [];
+        this._setAt(index, value, errors);
+        throwListenerErrors(errors);
+    }
+
+    /**
+     * @param {T} value
+     * @param {number} [start]
+     * @param {number} [end]
+     */
+    fill(value, start, end) {
+        const errors = [];
+        this._fill(value, start, end, errors);
+        throwListenerErrors(errors);
+    }
+
+    /**
+     * @param {function(T, T) : number} [compareFn]
+     */
+    sort(compareFn) {
+        const errors = [];
+        this._sort(compareFn, errors);
+        throwListenerErrors(errors);
+    }
+
+    reverse() {
+        const errors = [];
+        this._reverse(errors);
+        throwListenerErrors(errors);
+    }
+
     /**
      * @param {Array.<T>} value
+     * @param {{key?: function(T) : any}} [kwargs]
      * @returns {Promise.<void>}
      */
-    async setWithPromise(value) {
-        let promises = [];
-        recurseReplicas(
-            this,
-            /** @param {ArrayListenerOfImpl.<T>} replica */
-            (replica) => {
-                replica._value = value.slice();
-                replica._arrayListeners.forEach(listener => {
-                    if (listener.set) {
-                        const res = listener.set(replica._value);
-                        if (res instanceof Promise) {
-                            promises.push(res);
-                        }
-                    }
-                });
-                replica._listeners.forEach(listener => {
-                    const res = listener(replica._value);
-                    if (res instanceof Promise) {
-                        promises.push(res);
-                    }
-                });
-            }
-        );
-
-        if (promises.length > 0) {
-            await Promise.all(promises);
-        }
+    async setWithPromise(value, kwargs) {
+        const errors = [];
+        const promises = this._set(value, kwargs, errors);
+        await settleListenerPromises(promises, errors);
     }
 
     /**
@@ -783,53 +1418,462 @@ class ArrayListenerOfImpl {
      * @returns {Promise.<Array.<T>>} The deleted elements
      */
     async spliceWithPromise(start, deleteCount, ...items) {
+        const errors = [];
+        const { deleted, promises } = this._splice(start, deleteCount, items, errors);
+        await settleListenerPromises(promises, errors);
+        return deleted;
+    }
+
+    /**
+     * @param {number} from
+     * @param {number} to
+     * @returns {Promise.<void>}
+     */
+    async moveWithPromise(from, to) {
+        const errors = [];
+        const promises = this._move(from, to, errors);
+        await settleListenerPromises(promises, errors);
+    }
+
+    /**
+     * @param {number} index
+     * @param {T} value
+     * @returns {Promise.<void>}
+     */
+    async setAtWithPromise(index, value) {
+        const errors = [];
+        const promises = this._setAt(index, value, errors);
+        await settleListenerPromises(promises, errors);
+    }
+
+    /**
+     * @param {T} value
+     * @param {number} [start]
+     * @param {number} [end]
+     * @returns {Promise.<void>}
+     */
+    async fillWithPromise(value, start, end) {
+        const errors = [];
+        const promises = this._fill(value, start, end, errors);
+        await settleListenerPromises(promises, errors);
+    }
+
+    /**
+     * @param {function(T, T) : number} [compareFn]
+     * @returns {Promise.<void>}
+     */
+    async sortWithPromise(compareFn) {
+        const errors = [];
+        const promises = this._sort(compareFn, errors);
+        await settleListenerPromises(promises, errors);
+    }
+
+    /**
+     * @returns {Promise.<void>}
+     */
+    async reverseWithPromise() {
+        const errors = [];
+        const promises = this._reverse(errors);
+        await settleListenerPromises(promises, errors);
+    }
+
+    /**
+     * Replaces the value of every replica and notifies their listeners.
+     * @param {Array.<T>} value The new value
+     * @param {{key?: function(T) : any}|undefined} kwargs See set()
+     * @param {Array.<any>} errors Where errors from listeners are collected
+     * @returns {Array.<Promise.<any>>} The promises returned by listeners
+     * @private
+     */
+    _set(value, kwargs, errors) {
+        const {key} = Object.assign({key: null}, kwargs);
+        if (key !== null) {
+            return this._applySplices(keyedSplices(this._value, value, key), errors);
+        }
+
+        return this._mutate(
+            (replica) => {
+                replica._updateTrackedItems(replica._value, value);
+                replica._value = value.slice();
+
+                // the value may be spliced again before listeners are notified
+                const snapshot = value.slice();
+                return (listener) => {
+                    if (listener.set) {
+                        return listener.set(snapshot);
+                    }
+                };
+            },
+            errors
+        );
+    }
+
+    /**
+     * Splices the value of every replica and notifies their listeners.
+     * @param {number} start
+     * @param {number} deleteCount
+     * @param {Array.<T>} items
+     * @param {Array.<any>} errors Where errors from listeners are collected
+     * @returns {{deleted: Array.<T>, promises: Array.<Promise.<any>>}} The
+     *   elements deleted from this instance and the promises returned by
+     *   listeners
+     * @private
+     */
+    _splice(start, deleteCount, items, errors) {
         let deleted = null;
-        let promises = [];
-        recurseReplicas(
-            this,
-            (
-                /** @param {ArrayListenerOfImpl.<T>} replica */
-                (replica) => {
-                    const replicaDeleted = replica._value.splice(start, deleteCount, ...items);
-                    if (replica === this) {
-                        deleted = replicaDeleted;
+        const promises = this._mutate(
+            (replica) => {
+                const replicaDeleted = replica._value.splice(start, deleteCount, ...items);
+                replica._updateTrackedItems(replicaDeleted, items);
+                if (replica === this) {
+                    deleted = replicaDeleted;
+                }
+                return (listener) => {
+                    if (listener.splice) {
+                        return listener.splice(start, deleteCount, ...items);
                     }
-                    replica._arrayListeners.forEach(listener => {
-                        if (listener.splice) {
-                            const res = listener.splice(start, deleteCount, ...items);
-                            if (res instanceof Promise) {
-                                promises.push(res);
-                            }
-                        }
-                    });
-                    replica._listeners.forEach(listener => {
-                        const res = listener(replica._value);
-                        if (res instanceof Promise) {
-                            promises.push(res);
-                        }
-                    });
+                };
+            },
+            errors
+        );
+        return { deleted, promises };
+    }
+
+    /**
+     * Applies the given splices, in order, to every replica and notifies
+     * their listeners of each splice.
+     * @param {Array.<{start: number, deleteCount: number, items: Array.<T>}>} splices
+     *   The splices
+     * @param {Array.<any>} errors Where errors from listeners are collected
+     * @returns {Array.<Promise.<any>>} The promises returned by listeners
+     * @private
+     */
+    _applySplices(splices, errors) {
+        if (splices.length === 0) {
+            return [];
+        }
+
+        return this._mutate(
+            (replica) => {
+                for (const splice of splices) {
+                    const deleted = replica._value.splice(splice.start, splice.deleteCount, ...splice.items);
+                    replica._updateTrackedItems(deleted, splice.items);
                 }
-            ).bind(this)
+                return (listener) => {
+                    if (listener.splice) {
+                        return combineListenerResults(splices.map(
+                            (splice) => listener.splice(splice.start, splice.deleteCount, ...splice.items)
+                        ));
+                    }
+                };
+            },
+            errors
         );
+    }
 
-        if (promises.length > 0) {
-            await Promise.all(promises);
+    /**
+     * Moves an element of every replica and notifies their listeners.
+     * @param {number} from
+     * @param {number} to
+     * @param {Array.<any>} errors Where errors from listeners are collected
+     * @returns {Array.<Promise.<any>>} The promises returned by listeners
+     * @private
+     */
+    _move(from, to, errors) {
+        const length = this._value.length;
+        if (from < 0 || from >= length || to < 0 || to >= length) {
+            throw new Error(`cannot move from ${from} to ${to} in an array of length ${length}`);
         }
-        return deleted;
+        if (from === to) {
+            return [];
+        }
+
+        return this._mutate(
+            (replica) => {
+                const [item] = replica._value.splice(from, 1);
+                replica._value.splice(to, 0, item);
+                return (listener) => notifyMove(listener, from, to, item);
+            },
+            errors
+        );
+    }
+
+    /**
+     * Sets an element of every replica and notifies their listeners.
+     * @param {number} index
+     * @param {T} value
+     * @param {Array.<any>} errors Where errors from listeners are collected
+     * @returns {Array.<Promise.<any>>} The promises returned by listeners
+     * @private
+     */
+    _setAt(index, value, errors) {
+        if (index < 0 || index >= this._value.length) {
+            throw new Error(`cannot set index ${index} in an array of length ${this._value.length}`);
+        }
+        if (Object.is(this._value[index], value)) {
+            return [];
+        }
+
+        return this._mutate(
+            (replica) => {
+                replica._updateTrackedItems([replica._value[index]], [value]);
+                replica._value[index] = value;
+                return (listener) => {
+                    if (listener.splice) {
+                        return listener.splice(index, 1, value);
+                    }
+                };
+            },
+            errors
+        );
+    }
+
+    /**
+     * Fills part of every replica and notifies their listeners.
+     * @param {T} value
+     * @param {number|undefined} start
+     * @param {number|undefined} end
+     * @param {Array.<any>} errors Where errors from listeners are collected
+     * @returns {Array.<Promise.<any>>} The promises returned by listeners
+     * @private
+     */
+    _fill(value, start, end, errors) {
+        const length = this._value.length;
+        const from = relativeIndex(start === undefined ? 0 : start, length);
+        const to = relativeIndex(end === undefined ? length : end, length);
+
+        /** @type {Array.<{start: number, count: number}>} */
+        const runs = [];
+        for (let i = from; i < to; i++) {
+            if (Object.is(this._value[i], value)) {
+                continue;
+            }
+
+            const last = runs[runs.length - 1];
+            if (last !== undefined && last.start + last.count === i) {
+                last.count++;
+            } else {
+                runs.push({start: i, count: 1});
+            }
+        }
+
+        if (runs.length === 0) {
+            return [];
+        }
+
+        return this._mutate(
+            (replica) => {
+                replica._updateTrackedItems(replica._value.slice(from, to), new Array(to - from).fill(value));
+                replica._value.fill(value, from, to);
+                return (listener) => {
+                    if (listener.splice) {
+                        return combineListenerResults(runs.map(
+                            (run) => listener.splice(run.start, run.count, ...new Array(run.count).fill(value))
+                        ));
+                    }
+                };
+            },
+            errors
+        );
+    }
+
+    /**
+     * Sorts every replica and notifies their listeners.
+     * @param {(function(T, T) : number)|undefined} compareFn
+     * @param {Array.<any>} errors Where errors from listeners are collected
+     * @returns {Array.<Promise.<any>>} The promises returned by listeners
+     * @private
+     */
+    _sort(compareFn, errors) {
+        const compare = compareFn || compareAsStrings;
+        const order = this._value.map((_, index) => index);
+        // Array.prototype.sort is stable, so equal elements are not moved
+        order.sort((a, b) => compare(this._value[a], this._value[b]));
+        return this._reorder(order, errors);
+    }
+
+    /**
+     * Reverses every replica and notifies their listeners.
+     * @param {Array.<any>} errors Where errors from listeners are collected
+     * @returns {Array.<Promise.<any>>} The promises returned by listeners
+     * @private
+     */
+    _reverse(errors) {
+        return this._reorder(this._value.map((_, index) => this._value.length - 1 - index), errors);
+    }
+
+    /**
+     * Reorders every replica and notifies their listeners with the fewest
+     * moves which have the same effect.
+     * @param {Array.<number>} order For each new index, the current index
+     *   of the element which should be there
+     * @param {Array.<any>} errors Where errors from listeners are collected
+     * @returns {Array.<Promise.<any>>} The promises returned by listeners
+     * @private
+     */
+    _reorder(order, errors) {
+        const moves = movesToReorder(order);
+        if (moves.length === 0) {
+            return [];
+        }
+
+        return this._mutate(
+            (replica) => {
+                const items = [];
+                for (const move of moves) {
+                    const [item] = replica._value.splice(move.from, 1);
+                    replica._value.splice(move.to, 0, item);
+                    items.push(item);
+                }
+                return (listener) => combineListenerResults(moves.map(
+                    (move, i) => notifyMove(listener, move.from, move.to, items[i])
+                ));
+            },
+            errors
+        );
+    }
+
+    /**
+     * Applies the given mutation to every replica, then notifies the
+     * listeners of each replica in turn. See deliverNotifications for when
+     * the notifications are delivered if this is called by a listener or
+     * within a batch.
+     * @param {function(ArrayListenerOfImpl.<T>) : function(ArrayListener.<T>) : any} mutate
+     *   Mutates the value of the given replica, updating its tracked items,
+     *   and returns the function which notifies a single array listener of
+     *   the replica about the mutation
+     * @param {Array.<any>} errors Where errors from listeners are collected
+     * @returns {Array.<Promise.<any>>} The promises returned by listeners
+     * @private
+     */
+    _mutate(mutate, errors) {
+        if (this._readOnly) {
+            throw new Error('cannot change a read-only view of an array');
+        }
+
+        return deliverNotifications(() => recurseReplicas(
+            this,
+            /** @param {ArrayListenerOfImpl.<T>} replica */
+            (replica) => {
+                recordRollback(replica, () => {
+                    const oldValue = replica._value.slice();
+                    return () => {
+                        replica._updateTrackedItems(replica._value, oldValue);
+                        replica._value = oldValue;
+                    };
+                });
+                const notify = mutate(replica);
+
+                queueNotification(null, (errors) => invokeListeners(
+                    replica._arrayListeners, notify, replica._errorHandler, errors
+                ));
+                queueNotification(replica, (errors) => invokeListeners(
+                    replica._listeners,
+                    (listener) => listener(replica._value),
+                    replica._errorHandler,
+                    errors
+                ));
+            }
+        ), errors);
+    }
+
+    /**
+     * If tracking items, listens to the given items which were added to the
+     * array and stops listening to those which were removed from it. An item
+     * which is in the array more than once is listened to until the last of
+     * it is removed.
+     * @param {Array.<T>} removed The items which were removed
+     * @param {Array.<T>} added The items which were added
+     * @private
+     */
+    _updateTrackedItems(removed, added) {
+        if (!this._trackItems) {
+            return;
+        }
+
+        // added first, so that an item which is both isn't listened to again
+        for (const item of added) {
+            if (typeof(item) !== 'object' || item === null || typeof(item['addAnyListener']) !== 'function') {
+                continue;
+            }
+
+            const tracked = this._trackedItems.get(item);
+            if (tracked !== undefined) {
+                tracked.count++;
+            } else {
+                this._trackedItems.set(item, {
+                    count: 1,
+                    dispose: item['addAnyListener']((field, value) => this._itemChanged(item, field, value)),
+                });
+            }
+        }
+        for (const item of removed) {
+            const tracked = this._trackedItems.get(item);
+            if (tracked !== undefined && --tracked.count === 0) {
+                tracked.dispose();
+                this._trackedItems.delete(item);
+            }
+        }
+    }
+
+    /**
+     * Notifies the listeners that a field of the given item changed.
+     * @param {any} item The item
+     * @param {string} field The name of the field
+     * @param {any} value The new value of the field
+     * @private
+     */
+    _itemChanged(item, field, value) {
+        for (let index = 0; index < this._value.length; index++) {
+            if (this._value[index] !== item) {
+                continue;
+            }
+
+            queueNotification(null, (errors) => invokeListeners(
+                this._arrayListeners,
+                (listener) => {
+                    if (listener.itemChanged) {
+                        return listener.itemChanged(index, field, value, item);
+                    }
+                },
+                this._errorHandler,
+                errors
+            ));
+        }
+        queueNotification(this, (errors) => invokeListeners(
+            this._listeners,
+            (listener) => listener(this._value),
+            this._errorHandler,
+            errors
+        ));
     }
 
     /**
      * @param {function(Array.<T>) : any} listener
+     * @returns {function() : void}
      */
     addListener(listener) {
         this._listeners.push(listener);
+        return newDisposer(() => {
+            const index = this._listeners.indexOf(listener);
+            if (index >= 0) {
+                this._listeners.splice(index, 1);
+            }
+        });
     }
 
     /**
      * @param {ArrayListener.<T>} listener
+     * @returns {function() : void}
      */
     addArrayListener(listener) {
         this._arrayListeners.push(listener);
+        return newDisposer(() => {
+            const index = this._arrayListeners.indexOf(listener);
+            if (index >= 0) {
+                this._arrayListeners.splice(index, 1);
+            }
+        });
     }
 
     /**
@@ -848,18 +1892,22 @@ class ArrayListenerOfImpl {
 
     /**
      * @param {function(Array.<T>) : any} listener
+     * @returns {function() : void}
      */
     addListenerAndInvoke(listener) {
-        this.addListener(listener);
+        const dispose = this.addListener(listener);
         listener(this._value);
+        return dispose;
     }
 
     /**
      * @param {ArrayListener.<T>} listener
+     * @returns {function() : void}
      */
     addArrayListenerAndInvoke(listener) {
-        this.addArrayListener(listener);
+        const dispose = this.addArrayListener(listener);
         listener.set(this._value);
+        return dispose;
     }
 
     /**
@@ -869,9 +1917,9 @@ class ArrayListenerOfImpl {
      */
     newDerivativeObservable(func) {
         const res = new Observable(func(this._value));
-        this.addListener(val => {
+        res.onDispose(this.addListener(val => {
             res.value = func(val);
-        });
+        }));
         return res;
     }
 
@@ -879,16 +1927,425 @@ class ArrayListenerOfImpl {
         this._listeners = [];
         this._arrayListeners = [];
     }
+
+    /**
+     * @param {function(T) : boolean} predicate
+     * @returns {ArrayListenerOfImpl.<T>}
+     */
+    filtered(predicate) {
+        // whether each element of this array is in the view
+        let included = this._value.map((item) => !!predicate(item));
+        const view = new ArrayListenerOfImpl(this._value.filter((_, i) => included[i]), this._trackItems);
+        const viewIndex = (index) => {
+            let res = 0;
+            for (let i = 0; i < index; i++) {
+                if (included[i]) {
+                    res++;
+                }
+            }
+            return res;
+        };
+
+        view._follow(this, {
+            set: (value) => {
+                included = value.map((item) => !!predicate(item));
+                view.set(value.filter((_, i) => included[i]));
+            },
+            splice: (start, deleteCount, ...items) => {
+                const viewStart = viewIndex(start);
+                const viewDeleteCount = viewIndex(start + deleteCount) - viewStart;
+                const itemsIncluded = items.map((item) => !!predicate(item));
+                included.splice(start, deleteCount, ...itemsIncluded);
+
+                const viewItems = items.filter((_, i) => itemsIncluded[i]);
+                if (viewDeleteCount > 0 || viewItems.length > 0) {
+                    view.splice(viewStart, viewDeleteCount, ...viewItems);
+                }
+            },
+            move: (from, to) => {
+                const viewFrom = viewIndex(from);
+                const [wasIncluded] = included.splice(from, 1);
+                included.splice(to, 0, wasIncluded);
+                const viewTo = viewIndex(to);
+                if (wasIncluded && viewFrom !== viewTo) {
+                    view.move(viewFrom, viewTo);
+                }
+            },
+            itemChanged: (index, field, value, item) => {
+                const isIncluded = !!predicate(item);
+                if (isIncluded === included[index]) {
+                    return;
+                }
+
+                included[index] = isIncluded;
+                if (isIncluded) {
+                    view.splice(viewIndex(index), 0, item);
+                } else {
+                    view.splice(viewIndex(index), 1);
+                }
+            }
+        });
+        return view;
+    }
+
+    /**
+     * @template J
+     * @param {function(T) : J} fn
+     * @returns {ArrayListenerOfImpl.<J>}
+     */
+    mapped(fn) {
+        const view = new ArrayListenerOfImpl(this._value.map((item) => fn(item)), this._trackItems);
+        view._follow(this, {
+            set: (value) => view.set(value.map((item) => fn(item))),
+            splice: (start, deleteCount, ...items) => {
+                view.splice(start, deleteCount, ...items.map((item) => fn(item)));
+            },
+            move: (from, to) => view.move(from, to),
+            itemChanged: (index, field, value, item) => view.setAt(index, fn(item))
+        });
+        return view;
+    }
+
+    /**
+     * @param {function(T, T) : number} [compareFn]
+     * @returns {ArrayListenerOfImpl.<T>}
+     */
+    sorted(compareFn) {
+        const compare = compareFn || compareAsStrings;
+        // this array, as the view has seen it, to know what's deleted
+        let source = this._value.slice();
+        const view = new ArrayListenerOfImpl(source.slice().sort(compare), this._trackItems);
+        const insertIndex = (item, sortedItems = view._value) => {
+            let lo = 0;
+            let hi = sortedItems.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (compare(sortedItems[mid], item) <= 0) {
+                    lo = mid + 1;
+                } else {
+                    hi = mid;
+                }
+            }
+            return lo;
+        };
+
+        view._follow(this, {
+            set: (value) => {
+                source = value.slice();
+                view.set(value.slice().sort(compare));
+            },
+            splice: (start, deleteCount, ...items) => {
+                const deleted = source.splice(start, deleteCount, ...items);
+                if (deleted.length === 1 && items.length === 1) {
+                    // replaced in place, if it still sorts into the same spot
+                    const index = view._value.indexOf(deleted[0]);
+                    const fits = (index === 0 || compare(view._value[index - 1], items[0]) <= 0)
+                        && (index === view._value.length - 1 || compare(items[0], view._value[index + 1]) <= 0);
+                    if (fits) {
+                        view.setAt(index, items[0]);
+                        return;
+                    }
+                }
+
+                for (const item of deleted) {
+                    view.splice(view._value.indexOf(item), 1);
+                }
+                for (const item of items) {
+                    view.splice(insertIndex(item), 0, item);
+                }
+            },
+            move: (from, to) => {
+                const [item] = source.splice(from, 1);
+                source.splice(to, 0, item);
+            },
+            itemChanged: (index) => {
+                const item = source[index];
+                const from = view._value.indexOf(item);
+                const others = view._value.slice();
+                others.splice(from, 1);
+                const to = insertIndex(item, others);
+                if (from !== to) {
+                    view.move(from, to);
+                }
+            }
+        });
+        return view;
+    }
+
+    /**
+     * Makes this a read-only view of the given array, which is updated by
+     * the given listener on it.
+     * @template S
+     * @param {ArrayListenerOfImpl.<S>} source The array this is a view of
+     * @param {ArrayListener.<S>} listener Updates this from the changes to
+     *   the source array
+     * @private
+     */
+    _follow(source, listener) {
+        this._readOnly = true;
+
+        /**
+         * @template {function(...any) : void} F
+         * @param {F} fn
+         * @returns {F}
+         */
+        const unlocked = (fn) => /** @type {F} */ ((...args) => {
+            this._readOnly = false;
+            try {
+                fn(...args);
+            } finally {
+                this._readOnly = true;
+            }
+        });
+
+        this._disposeView = source.addArrayListener({
+            set: unlocked(listener.set),
+            splice: unlocked(listener.splice),
+            move: unlocked(listener.move),
+            itemChanged: unlocked(listener.itemChanged)
+        });
+    }
+
+    dispose() {
+        if (this._disposeView !== null) {
+            this._disposeView();
+            this._disposeView = null;
+        }
+
+        this._trackItems = false;
+        for (const tracked of this._trackedItems.values()) {
+            tracked.dispose();
+        }
+        this._trackedItems.clear();
+    }
+
+    /**
+     * @param {?function(any) : void} handler
+     */
+    setListenerErrorHandler(handler) {
+        this._errorHandler = handler;
+    }
+}
+
+/**
+ * Tells the given array listener that an item was moved, falling back to
+ * splices if it doesn't handle moves.
+ * @template T
+ * @param {ArrayListener.<T>} listener The listener
+ * @param {number} from The index the item was at
+ * @param {number} to The index the item is now at
+ * @param {T} item The item
+ * @returns {any} The result from the listener, which may be a promise
+ */
+function notifyMove(listener, from, to, item) {
+    if (listener.move) {
+        return listener.move(from, to, item);
+    }
+    if (listener.splice) {
+        return combineListenerResults([listener.splice(from, 1), listener.splice(to, 0, item)]);
+    }
+    return undefined;
+}
+
+/**
+ * Combines the results of calling a listener more than once for a single
+ * change.
+ * @param {Array.<any>} results The results from the listener
+ * @returns {Promise.<any>|undefined} A promise which resolves once all the
+ *   promises in the results do, or undefined if there aren't any
+ */
+function combineListenerResults(results) {
+    const promises = results.filter((res) => res instanceof Promise);
+    return promises.length === 0 ? undefined : Promise.all(promises);
+}
+
+/**
+ * Converts an index which may count back from the end of an array, as in
+ * Array.prototype.fill, into an index within [0, length].
+ * @param {number} index The index
+ * @param {number} length The length of the array
+ * @returns {number} The index from the start of the array
+ */
+function relativeIndex(index, length) {
+    if (index < 0) {
+        return Math.max(length + index, 0);
+    }
+    return Math.min(index, length);
+}
+
+/**
+ * The comparison Array.prototype.sort uses when no compare function is
+ * given: undefined goes last, and everything else is compared as strings.
+ * @param {any} a The first element
+ * @param {any} b The second element
+ * @returns {number} Negative if a goes first, positive if b goes first
+ */
+function compareAsStrings(a, b) {
+    if (a === undefined || b === undefined) {
+        return (a === undefined ? 1 : 0) - (b === undefined ? 1 : 0);
+    }
+
+    const strA = String(a);
+    const strB = String(b);
+    return strA < strB ? -1 : (strA > strB ? 1 : 0);
+}
+
+/**
+ * Determines the fewest moves, as in ArrayListenerOf.move, which reorder an
+ * array as given. Elements in the longest run which is already in order,
+ * not necessarily contiguous, stay put; every other element is moved once,
+ * to just after the element which should precede it.
+ * @param {Array.<number>} order For each new index, the current index of
+ *   the element which should be there
+ * @returns {Array.<{from: number, to: number}>} The moves, in the order they
+ *   should be applied
+ */
+function movesToReorder(order) {
+    const staying = new Set(longestIncreasingSubsequence(order).map((i) => order[i]));
+
+    // the current index of each element, by where it started
+    const current = order.map((_, index) => index);
+    const moves = [];
+    for (let i = 0; i < order.length; i++) {
+        if (staying.has(order[i])) {
+            continue;
+        }
+
+        const from = current.indexOf(order[i]);
+        let to = i === 0 ? 0 : current.indexOf(order[i - 1]) + 1;
+        if (from < to) {
+            to--;
+        }
+        if (from === to) {
+            continue;
+        }
+
+        current.splice(from, 1);
+        current.splice(to, 0, order[i]);
+        moves.push({from, to});
+    }
+    return moves;
+}
+
+/**
+ * Finds a longest strictly increasing subsequence of the given numbers, via
+ * patience sorting.
+ * @param {Array.<number>} values The numbers
+ * @returns {Array.<number>} The indices of the subsequence within values, in
+ *   ascending order
+ */
+function longestIncreasingSubsequence(values) {
+    const tails = [];
+    const previous = new Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+        let lo = 0;
+        let hi = tails.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (values[tails[mid]] < values[i]) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        previous[i] = lo > 0 ? tails[lo - 1] : -1;
+        tails[lo] = i;
+    }
+
+    const res = [];
+    for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i >= 0; i = previous[i]) {
+        res.push(i);
+    }
+    return res.reverse();
+}
+
+/**
+ * Determines the fewest splices which turn one array into another, where
+ * elements are matched up by key. The matched elements in the longest run
+ * which is in the same order in both arrays are kept, or replaced in place
+ * if they are not identical; everything else is deleted or inserted.
+ * @template T
+ * @param {Array.<T>} oldValue The current array
+ * @param {Array.<T>} newValue The new array
+ * @param {function(T) : any} key Identifies elements across the arrays
+ * @returns {Array.<{start: number, deleteCount: number, items: Array.<T>}>}
+ *   The splices, in the order they should be applied
+ */
+function keyedSplices(oldValue, newValue, key) {
+    const oldIndices = new Map();
+    for (let i = 0; i < oldValue.length; i++) {
+        const k = key(oldValue[i]);
+        if (!oldIndices.has(k)) {
+            oldIndices.set(k, i);
+        }
+    }
+
+    const newMatched = [];
+    const oldMatched = [];
+    for (let j = 0; j < newValue.length; j++) {
+        const i = oldIndices.get(key(newValue[j]));
+        if (i !== undefined) {
+            newMatched.push(j);
+            oldMatched.push(i);
+        }
+    }
+
+    const kept = longestIncreasingSubsequence(oldMatched).map((m) => [oldMatched[m], newMatched[m]]);
+    kept.push([oldValue.length, newValue.length]);
+
+    /** @type {Array.<{start: number, deleteCount: number, items: Array.<T>}>} */
+    const splices = [];
+    const addSplice = (start, deleteCount, items) => {
+        const last = splices[splices.length - 1];
+        if (last !== undefined && last.start + last.items.length === start) {
+            last.deleteCount += deleteCount;
+            last.items.push(...items);
+        } else {
+            splices.push({start, deleteCount, items});
+        }
+    };
+
+    let prevOld = -1;
+    let prevNew = -1;
+    for (const [i, j] of kept) {
+        // everything between this and the previous kept element, as it is in
+        // the new array so far, is replaced with the new elements
+        const deleteCount = i - prevOld - 1;
+        if (deleteCount > 0 || j - prevNew - 1 > 0) {
+            addSplice(prevNew + 1, deleteCount, newValue.slice(prevNew + 1, j));
+        }
+        if (j < newValue.length && !Object.is(oldValue[i], newValue[j])) {
+            addSplice(j, 1, [newValue[j]]);
+        }
+        prevOld = i;
+        prevNew = j;
+    }
+    return splices;
 }
 
 /**
  * Creates a new standalone ArrayListenerOf the given value.
+ *
+ * If trackItems is set, array listeners are told when a field of an item
+ * which is a replica listener changes via itemChanged, and regular listeners
+ * are notified as if the array changed. Items are listened to while they're
+ * in the array; call dispose() to stop listening to them before discarding
+ * the array. Replicas, clones and views of the array track items too.
+ *
+ * Items are listened to with addAnyListener, so clearing all the listeners
+ * of an item stops it from being tracked. It's tracked again once every
+ * occurrence of it has been removed from the array and it's added back.
+ *
  * @template T
  * @param {Array.<T>} value The value
+ * @param {object} [kwargs] Optional keyword arguments
+ * @param {boolean} [kwargs.trackItems=false] If true, listeners are told
+ *   about changes to the fields of items, not just the array
  * @returns {ArrayListenerOf.<T>} The constructed ArrayListenerOf
  */
-export function newArrayListenerOf(value) {
-    return new ArrayListenerOfImpl(value);
+export function newArrayListenerOf(value, kwargs) {
+    const {trackItems} = Object.assign({trackItems: false}, kwargs);
+    return new ArrayListenerOfImpl(value, trackItems);
 }
 
 /**
@@ -967,6 +2424,76 @@ export function assumeReplica(a, b) {
 }
 
 
+/**
+ * Describes a regular field of a replica listener created via
+ * implementReplicaListener.
+ *
+ * @template V The type of the field
+ * @template {string} K The name of the field
+ * @typedef {object} ValueFieldDescriptor
+ * @property {K} key The name of the field
+ * @property {V} val The initial value of the field
+ * @property {function(V, V) : boolean} [equals] Determines if two values of
+ *   the field are equal, in which case setting the field does not notify
+ *   listeners. Defaults to Object.is. See deepEquals for a structural
+ *   alternative.
+ * @property {boolean} [replicate] If true and the value is a replica
+ *   listener, such as an ArrayListenerOf, replicas get their own replica of
+ *   the value rather than sharing it. See ReplicaListener.createReplica.
+ */
+
+/**
+ * Describes a read-only field of a replica listener created via
+ * implementReplicaListener, whose value is computed from other fields of the
+ * same replica listener. The value is only computed when it's needed, i.e.,
+ * when it's read or when it has listeners, and is reused until one of the
+ * fields it's computed from changes. Setting a computed field throws an
+ * error.
+ *
+ * For example
+ *
+ * ```js
+ * {
+ *     key: 'isEdited',
+ *     compute: ['createdAt', 'lastEdited'],
+ *     fn: (createdAt, lastEdited) => lastEdited.getTime() > createdAt.getTime()
+ * }
+ * ```
+ *
+ * @template V The type of the field
+ * @template {string} K The name of the field
+ * @typedef {object} ComputedFieldDescriptor
+ * @property {K} key The name of the field
+ * @property {Array.<string>} compute The names of the fields this field is
+ *   computed from, which must be declared before this field. They may be
+ *   computed fields themselves.
+ * @property {function(...any) : V} fn Computes the value of this field,
+ *   passed the values of the fields in compute, in that order
+ * @property {function(V, V) : boolean} [equals] Determines if two computed
+ *   values are equal, in which case listeners are not notified. Defaults to
+ *   Object.is.
+ */
+
+/**
+ * Describes a single field of a replica listener created via
+ * implementReplicaListener.
+ *
+ * @template V The type of the field
+ * @template {string} K The name of the field
+ * @typedef {ValueFieldDescriptor.<V, K>|ComputedFieldDescriptor.<V, K>} FieldDescriptor
+ */
+
+/**
+ * The interface for a single field of a replica listener created via
+ * implementReplicaListener: GetterOf for a computed field, since it can't be
+ * set, and ListenerOf otherwise.
+ *
+ * @template D The type of the field's descriptor
+ * @template V The type of the field
+ * @template {string} K The name of the field
+ * @typedef {D extends {compute: any} ? GetterOf.<V, K> : ListenerOf.<V, K>} FieldListenerOf
+ */
+
 /**
  * Our implementation of ReplicaListener and ListenerOf for any number of
  * fields. This does not have full type information as it is very generic,
@@ -974,16 +2501,98 @@ export function assumeReplica(a, b) {
  */
 class ReplicaListenerImpl {
     /**
-     * @param {Array.<{key: string, val: any}>} fields The fields which we have
+     * @param {Array.<FieldDescriptor.<any, string>>} fields The fields which
+     *   we have
      */
     constructor(fields) {
         /**
-         * @type {Object.<string, Observable.<any>>} The fields
+         * @type {Array.<FieldDescriptor.<any, string>>} The descriptors of
+         *   the fields, used when creating replicas and clones
+         * @private
+         */
+        this._descriptors = fields;
+
+        /**
+         * @type {Object.<string, Observable.<any>>} The fields. For computed
+         *   fields, this holds the last computed value.
          * @private
          */
         this._fields = {};
+
+        /**
+         * @type {Object.<string, {deps: Array.<string>, fn: function(...any) : any, dirty: boolean}>}
+         *   The computed fields. They are dirty if the value in _fields may
+         *   be out of date.
+         * @private
+         */
+        this._computed = {};
+
+        /**
+         * @type {Object.<string, Array.<string>>} For each field, the
+         *   computed fields which are computed directly from it
+         * @private
+         */
+        this._dependents = {};
+
+        /**
+         * @type {Array.<function(string, any, any) : any>} The listeners for
+         *   changes to any field
+         * @private
+         */
+        this._anyListeners = [];
+
+        /**
+         * @type {Object.<string, function() : void>} For each field which
+         *   has one, removes the listener which forwards its changes to
+         *   _anyListeners
+         * @private
+         */
+        this._anyForwarders = {};
+
+        /**
+         * @type {Object.<string, Array.<{listener: function(any, any) : any, dispose: function() : void}>>}
+         *   The listeners added for each path, such as 'author.name'
+         * @private
+         */
+        this._pathListeners = {};
+
+        /**
+         * @type {?function(any) : void} The handler for errors from
+         *   _anyListeners
+         * @private
+         */
+        this._errorHandler = null;
+
+        /**
+         * @type {Set.<string>} The fields which get a replica of the value
+         *   when the field is set on another replica
+         * @private
+         */
+        this._replicatedFields = new Set();
+
+        /**
+         * @type {Set.<string>} The fields whose values are replicas created
+         *   by this instance, which are detached with it
+         * @private
+         */
+        this._ownedFields = new Set();
+
         for (const f of fields) {
-            this._fields[f.key] = new Observable(f.val);
+            if ('compute' in f) {
+                for (const dep of f.compute) {
+                    if (!(dep in this._fields)) {
+                        throw new Error(`computed field ${f.key} depends on ${dep}, which is not declared before it`);
+                    }
+                    (this._dependents[dep] = this._dependents[dep] || []).push(f.key);
+                }
+                this._computed[f.key] = {deps: f.compute, fn: f.fn, dirty: true};
+                this._fields[f.key] = new Observable(undefined, {equals: f.equals});
+            } else {
+                this._fields[f.key] = new Observable(f.val, {equals: f.equals});
+                if (f.replicate) {
+                    this._replicatedFields.add(f.key);
+                }
+            }
         }
 
         /**
@@ -992,13 +2601,36 @@ class ReplicaListenerImpl {
         this.replicatedTo = [];
     }
 
-    createReplica() {
+    /**
+     * @param {{deep?: boolean}} [kwargs]
+     * @returns {ReplicaListenerImpl}
+     */
+    createReplica(kwargs) {
+        const {deep} = Object.assign({deep: false}, kwargs);
+        const owned = [];
         const res = new ReplicaListenerImpl(
-            Object.entries(this._fields).map(
-                ([key, val]) => ({key, val: val.value})
-            )
+            this._descriptors.map((f) => {
+                if ('compute' in f) {
+                    return f;
+                }
+
+                const val = this._fields[f.key].value;
+                if ((deep || f.replicate) && isReplicaListener(val)) {
+                    owned.push(f.key);
+                    return Object.assign({}, f, {val: val.createReplica(kwargs)});
+                }
+                return Object.assign({}, f, {val});
+            })
         );
 
+        for (const f of this._descriptors) {
+            if (deep && !('compute' in f)) {
+                res._replicatedFields.add(f.key);
+            }
+        }
+        for (const key of owned) {
+            res._ownedFields.add(key);
+        }
         res.replicatedTo.push(this);
         this.replicatedTo.push(res);
 
@@ -1010,7 +2642,13 @@ class ReplicaListenerImpl {
      */
     copyFrom(other) {
         for (const key of Object.keys(this._fields)) {
-            this.set(key, other.get(key));
+            if (key in this._computed) {
+                continue;
+            }
+
+            const errors = [];
+            this._set(key, other.get(key), errors, true);
+            throwListenerErrors(errors);
         }
     }
 
@@ -1030,6 +2668,30 @@ class ReplicaListenerImpl {
 
     detach() {
         detachReplica(this);
+        for (const field of this._ownedFields) {
+            const nested = this._fields[field].value;
+            if (isReplicaListener(nested)) {
+                nested.detach();
+            }
+        }
+    }
+
+    /**
+     * @template R
+     * @param {function() : R} fn
+     * @returns {R}
+     */
+    transaction(fn) {
+        return batch(fn);
+    }
+
+    /**
+     * @template R
+     * @param {function() : R} fn
+     * @returns {Promise.<R>}
+     */
+    transactionWithPromise(fn) {
+        return batchWithPromise(fn);
     }
 
     /**
@@ -1037,24 +2699,51 @@ class ReplicaListenerImpl {
      */
     clone() {
         const newFields = [];
-        for (const key of Object.keys(this._fields)) {
-            const val = this._fields[key];
+        for (const f of this._descriptors) {
+            if ('compute' in f) {
+                newFields.push(f);
+                continue;
+            }
+
+            const val = this._fields[f.key];
             if (typeof(val.value) === 'object' && val.value !== null && typeof(val.value['clone']) === 'function') {
-                newFields.push({key: key, val: val.value['clone']()});
+                newFields.push(Object.assign({}, f, {val: val.value['clone']()}));
             } else {
-                newFields.push({key: key, val: val.value});
+                newFields.push(Object.assign({}, f, {val: val.value}));
             }
         }
         // @ts-ignore
         return new ReplicaListenerImpl(newFields);
     }
 
+    /**
+     * @returns {object}
+     */
+    toJSON() {
+        const res = {};
+        for (const key of this.keys()) {
+            res[key] = toJSONValue(this._fields[key].value);
+        }
+        return res;
+    }
+
+    /**
+     * @returns {Array.<string>}
+     */
+    keys() {
+        return this._descriptors.filter((f) => !('compute' in f)).map((f) => f.key);
+    }
+
     /**
      * @param {string} field
      * @returns {any}
      */
     get(field) {
-        return this._fields[field].value;
+        const path = this._splitPath(field);
+        if (path !== null) {
+            return valueAtPath(this.get(path[0]), path[1]);
+        }
+        return this._field(field).value;
     }
 
     /**
@@ -1062,11 +2751,15 @@ class ReplicaListenerImpl {
      * @param {any} value
      */
     set(field, value) {
-        recurseReplicas(
-            this,
-            /** @param {ReplicaListenerImpl} replica */
-            (replica) => replica._fields[field].value = value
-        );
+        const path = this._splitPath(field);
+        if (path !== null) {
+            this._nested(field, path[0]).set(path[1], value);
+            return;
+        }
+
+        const errors = [];
+        this._set(field, value, errors);
+        throwListenerErrors(errors);
     }
 
     /**
@@ -1075,37 +2768,293 @@ class ReplicaListenerImpl {
      * @returns {Promise.<void>}
      */
     async setWithPromise(field, value) {
-        let promises = [];
-        recurseReplicas(
+        const path = this._splitPath(field);
+        if (path !== null) {
+            await this._nested(field, path[0]).setWithPromise(path[1], value);
+            return;
+        }
+
+        const errors = [];
+        const promises = this._set(field, value, errors);
+        await settleListenerPromises(promises, errors);
+    }
+
+    /**
+     * Sets the given field on every replica and notifies their listeners.
+     * @param {string} field The name of the field
+     * @param {any} value The new value
+     * @param {Array.<any>} errors Where errors from listeners are collected
+     * @param {boolean} [replicateHere=false] If true, this instance also gets
+     *   a replica of the value if the field is replicated, as when copying
+     *   from another instance
+     * @returns {Array.<Promise.<any>>} The promises returned by listeners
+     * @private
+     */
+    _set(field, value, errors, replicateHere) {
+        if (field in this._computed) {
+            throw new Error(`${field} is a computed field and cannot be set`);
+        }
+        if (this._ownedFields.has(field) && this._fields[field].value === value) {
+            return [];
+        }
+
+        return deliverNotifications(() => recurseReplicas(
             this,
             /** @param {ReplicaListenerImpl} replica */
-            (replica) => promises.push(replica._fields[field].setValueWithPromise(value))
-        );
-        await Promise.all(promises);
+            (replica) => {
+                if (replica._replicatedFields.has(field) || replica._ownedFields.has(field)) {
+                    replica._replaceOwned(
+                        field,
+                        value,
+                        replica._replicatedFields.has(field) && (replica !== this || replicateHere === true)
+                    );
+                } else {
+                    replica._fields[field].value = value;
+                }
+                replica._invalidateDependents(field);
+            }
+        ), errors);
+    }
+
+    /**
+     * Sets a field which is replicated or whose value is a replica created by
+     * this instance, detaching the old value if this instance created it so
+     * it's no longer updated. Values given by the caller are never detached.
+     * @param {string} field The name of the field
+     * @param {any} value The new value
+     * @param {boolean} replicate If true, the field is set to a replica of
+     *   the value rather than to the value itself
+     * @private
+     */
+    _replaceOwned(field, value, replicate) {
+        const old = this._fields[field].value;
+        if (this._ownedFields.has(field) && isReplicaListener(old)) {
+            const links = old.replicatedTo.slice();
+            recordRollback(old.replicatedTo, () => () => {
+                for (const other of links) {
+                    attachReplica(old, other);
+                }
+            });
+            detachReplica(old);
+        }
+
+        const owned = replicate && isReplicaListener(value);
+        if (owned !== this._ownedFields.has(field)) {
+            recordRollback(this._ownedFields, () => {
+                const saved = new Set(this._ownedFields);
+                return () => {
+                    this._ownedFields = saved;
+                };
+            });
+            if (owned) {
+                this._ownedFields.add(field);
+            } else {
+                this._ownedFields.delete(field);
+            }
+        }
+
+        if (owned) {
+            const nested = value.createReplica();
+            recordRollback(nested.replicatedTo, () => () => nested.detach());
+            this._fields[field].value = nested;
+        } else {
+            this._fields[field].value = value;
+        }
+    }
+
+    /**
+     * Splits a path such as 'author.name' into the first field and the rest
+     * of the path.
+     * @param {string} field The name of a field, or a path
+     * @returns {?Array.<string>} The first field and the rest of the path, or
+     *   null if the argument is just the name of a field
+     * @private
+     */
+    _splitPath(field) {
+        const index = field.indexOf('.');
+        if (index < 0 || field in this._fields) {
+            return null;
+        }
+        return [field.substring(0, index), field.substring(index + 1)];
+    }
+
+    /**
+     * Gets the value of the given field, which is expected to be a nested
+     * listener as it's part of the given path.
+     * @param {string} path The full path, for the error message
+     * @param {string} field The field along the path
+     * @returns {any} The nested listener
+     * @private
+     */
+    _nested(path, field) {
+        const nested = this.get(field);
+        if (nested === null || nested === undefined) {
+            throw new Error(`cannot follow ${path}: ${field} is ${nested}`);
+        }
+        return nested;
+    }
+
+    /**
+     * Gets the observable for the given field, first recomputing it if it's
+     * a computed field which may be out of date.
+     * @param {string} field The name of the field
+     * @returns {Observable.<any>} The observable for the field
+     * @private
+     */
+    _field(field) {
+        const computed = this._computed[field];
+        if (computed !== undefined && computed.dirty) {
+            const value = computed.fn(...computed.deps.map(dep => this.get(dep)));
+            recordComputedRollback(computed);
+            computed.dirty = false;
+            this._fields[field].value = value;
+        }
+        return this._fields[field];
+    }
+
+    /**
+     * Marks the computed fields which depend on the given field as out of
+     * date, and queues recomputing those which have listeners.
+     * @param {string} field The name of the field which changed
+     * @private
+     */
+    _invalidateDependents(field) {
+        const dependents = this._dependents[field];
+        if (dependents === undefined) {
+            return;
+        }
+
+        for (const key of dependents) {
+            const computed = this._computed[key];
+            if (computed.dirty) {
+                // its dependents are already dirty, and it's queued if needed
+                continue;
+            }
+
+            recordComputedRollback(computed);
+            computed.dirty = true;
+            this._invalidateDependents(key);
+            queueNotification(computed, (errors) => {
+                if (computed.dirty && this._fields[key].hasListeners) {
+                    try {
+                        this._field(key);
+                    } catch (e) {
+                        collectListenerError(e, errors);
+                    }
+                }
+            });
+        }
     }
 
     /**
      * @param {string} field
-     * @param {function(any) : any} listener
+     * @param {function(any, any) : any} listener
+     * @returns {function() : void}
      */
     addListener(field, listener) {
-        this._fields[field].addListener(listener);
+        const path = this._splitPath(field);
+        if (path === null) {
+            return this._field(field).addListener(listener);
+        }
+
+        const entry = {listener, dispose: this._followPath(path[0], path[1], listener)};
+        (this._pathListeners[field] = this._pathListeners[field] || []).push(entry);
+        return newDisposer(() => this._removePathListener(field, entry));
     }
 
     /**
      * @param {string} field
-     * @param {function(any) : any} listener
+     * @param {function(any, any) : any} listener
      */
     removeListener(field, listener) {
-        this._fields[field].removeListener(listener);
+        if (this._splitPath(field) === null) {
+            this._fields[field].removeListener(listener);
+            return;
+        }
+
+        const entry = (this._pathListeners[field] || []).find(e => e.listener === listener);
+        if (entry !== undefined) {
+            this._removePathListener(field, entry);
+        }
+    }
+
+    /**
+     * Listens to the value at the given path within the given field, which
+     * holds a nested listener, moving the listener whenever the field is
+     * replaced.
+     * @param {string} field The first field of the path
+     * @param {string} rest The rest of the path, within the nested listener
+     * @param {function(any, any) : any} listener The listener
+     * @returns {function() : void} Removes the listener
+     * @private
+     */
+    _followPath(field, rest, listener) {
+        let disposeNested = null;
+        const follow = (nested) => {
+            if (nested !== null && nested !== undefined) {
+                disposeNested = nested.addListener(rest, listener);
+            }
+        };
+
+        follow(this.get(field));
+        const disposeField = this._field(field).addListener((nested, oldNested) => {
+            if (disposeNested !== null) {
+                disposeNested();
+                disposeNested = null;
+            }
+            follow(nested);
+
+            const value = valueAtPath(nested, rest);
+            const oldValue = valueAtPath(oldNested, rest);
+            if (!Object.is(value, oldValue)) {
+                return listener(value, oldValue);
+            }
+            return undefined;
+        });
+
+        return () => {
+            disposeField();
+            if (disposeNested !== null) {
+                disposeNested();
+                disposeNested = null;
+            }
+        };
+    }
+
+    /**
+     * Removes the given listener added for the given path.
+     * @param {string} field The path
+     * @param {{listener: function(any, any) : any, dispose: function() : void}} entry
+     *   The listener, as stored in _pathListeners
+     * @private
+     */
+    _removePathListener(field, entry) {
+        const entries = this._pathListeners[field];
+        const index = entries === undefined ? -1 : entries.indexOf(entry);
+        if (index < 0) {
+            return;
+        }
+
+        entries.splice(index, 1);
+        if (entries.length === 0) {
+            delete this._pathListeners[field];
+        }
+        entry.dispose();
     }
 
     /**
      * @param {string} field
-     * @param {function(any) : any} listener
+     * @param {function(any, any=) : any} listener
+     * @returns {function() : void}
      */
     addListenerAndInvoke(field, listener) {
-        this._fields[field].addListenerAndInvoke(listener);
+        if (this._splitPath(field) === null) {
+            return this._field(field).addListenerAndInvoke(listener);
+        }
+
+        const dispose = this.addListener(field, listener);
+        listener(this.get(field));
+        return dispose;
     }
 
     /**
@@ -1115,19 +3064,149 @@ class ReplicaListenerImpl {
      * @returns {Observable.<J>}
      */
     newDerivativeObservable(field, func) {
-        return this._fields[field].newDerivativeObservable(func);
+        if (this._splitPath(field) === null) {
+            return this._field(field).newDerivativeObservable(func);
+        }
+
+        const res = new Observable(func(this.get(field)));
+        res.onDispose(this.addListener(field, (value) => res.value = func(value)));
+        return res;
+    }
+
+    /**
+     * @template J
+     * @param {string} field
+     * @param {function(any) : J} get
+     * @param {function(J, any) : any} set
+     * @returns {Observable.<J>}
+     */
+    newLensObservable(field, get, set) {
+        const res = new Observable(get(this.get(field)));
+
+        // The values most recently passed in each direction, so that a
+        // change isn't echoed back to where it came from
+        let fromField = null;
+        let toField = null;
+
+        res.onDispose(this.addListener(field, (value) => {
+            if (toField !== null && Object.is(toField.value, value)) {
+                toField = null;
+                return;
+            }
+            toField = null;
+            fromField = {value: get(value)};
+            res.value = fromField.value;
+        }));
+        res.addListener((value) => {
+            if (fromField !== null && Object.is(fromField.value, value)) {
+                fromField = null;
+                return;
+            }
+            fromField = null;
+            toField = {value: set(value, this.get(field))};
+            this.set(field, toField.value);
+        });
+        return res;
+    }
+
+    /**
+     * @param {function(string, any, any) : any} listener
+     * @returns {function() : void}
+     */
+    addAnyListener(listener) {
+        this._anyListeners.push(listener);
+        for (const key of Object.keys(this._fields)) {
+            this._forwardToAnyListeners(key);
+        }
+        return newDisposer(() => this.removeAnyListener(listener));
+    }
+
+    /**
+     * @param {function(string, any, any) : any} listener
+     */
+    removeAnyListener(listener) {
+        const index = this._anyListeners.indexOf(listener);
+        if (index >= 0) {
+            this._anyListeners.splice(index, 1);
+        }
+
+        if (this._anyListeners.length === 0) {
+            for (const key of Object.keys(this._anyForwarders)) {
+                this._anyForwarders[key]();
+            }
+            this._anyForwarders = {};
+        }
+    }
+
+    /**
+     * Adds a listener to the given field which passes its changes on to the
+     * listeners added with addAnyListener, unless it already has one.
+     * @param {string} field The name of the field
+     * @private
+     */
+    _forwardToAnyListeners(field) {
+        if (field in this._anyForwarders) {
+            return;
+        }
+
+        this._anyForwarders[field] = this._field(field).addListener((value, oldValue) => {
+            const errors = [];
+            const res = invokeListeners(
+                this._anyListeners,
+                (listener) => listener(field, value, oldValue),
+                this._errorHandler,
+                errors
+            );
+            throwListenerErrors(errors);
+            return res;
+        });
     }
 
     /**
      * @param {string} [field]
      */
     clearListeners(field) {
+        for (const path of Object.keys(this._pathListeners)) {
+            if (!field || path === field || path.startsWith(field + '.')) {
+                for (const entry of this._pathListeners[path].slice()) {
+                    this._removePathListener(path, entry);
+                }
+            }
+        }
+
+        if (field && this._splitPath(field) !== null) {
+            return;
+        }
+
         if (field) {
             this._fields[field].clearListeners();
+            delete this._anyForwarders[field];
+            if (this._anyListeners.length > 0) {
+                this._forwardToAnyListeners(field);
+            }
         } else {
             for (const f of Object.keys(this._fields)) {
                 this._fields[f].clearListeners();
             }
+            this._anyListeners = [];
+            this._anyForwarders = {};
+        }
+
+        for (const f of this._ownedFields) {
+            const nested = this._fields[f].value;
+            if ((!field || f === field) && isReplicaListener(nested)) {
+                nested.clearListeners();
+            }
+        }
+    }
+
+    /**
+     * @param {?function(any) : void} handler
+     */
+    setListenerErrorHandler(handler) {
+        this._errorHandler = handler;
+        for (const f of Object.keys(this._fields)) {
+            this._fields[f].setListenerErrorHandler(handler);
         }
     }
 
@@ -1136,6 +3215,60 @@ class ReplicaListenerImpl {
     }
 }
 
+/**
+ * Records how to restore whether the given computed field is out of date if
+ * the current batch fails, so that it's recomputed rather than keeping a
+ * value computed from changes which were rolled back.
+ * @param {{dirty: boolean}} computed The computed field
+ */
+function recordComputedRollback(computed) {
+    recordRollback(computed, () => {
+        const dirty = computed.dirty;
+        return () => {
+            computed.dirty = dirty;
+        };
+    });
+}
+
+/**
+ * Determines if the given value is a replica listener, i.e., something which
+ * can be replicated.
+ * @param {any} value The value
+ * @returns {boolean} True if the value has createReplica, false otherwise
+ */
+function isReplicaListener(value) {
+    return typeof(value) === 'object' && value !== null && typeof(value['createReplica']) === 'function';
+}
+
+/**
+ * Converts the given value to plain data like JSON.stringify would, by
+ * calling its toJSON if it has one.
+ * @param {any} value The value
+ * @returns {any} The plain value
+ */
+export function toJSONValue(value) {
+    if (typeof(value) === 'object' && value !== null && typeof(value['toJSON']) === 'function') {
+        return value['toJSON']();
+    }
+    if (Array.isArray(value)) {
+        return value.map(toJSONValue);
+    }
+    return value;
+}
+
+/**
+ * Gets the value at the given path within the given nested listener.
+ * @param {any} nested The nested listener, or null
+ * @param {string} path The name of a field of the nested listener, or a path
+ * @returns {any} The value, or undefined if the nested listener is null
+ */
+function valueAtPath(nested, path) {
+    if (nested === null || nested === undefined) {
+        return undefined;
+    }
+    return nested.get(path);
+}
+
 /**
  * Adds a listener to an observable of a particular listener, in such a way
  * that the listener is only ever applied to a single listener and the observable
@@ -1154,6 +3287,9 @@ class ReplicaListenerImpl {
  * oldVal.set('foo', 6); // doesn't print anything
  * ```
  *
+ * When the observable is itself a field of a replica listener, it's simpler to
+ * listen to a path, such as `addListener('author.name', listener)`.
+ *
  * @template V The value type of the field
  * @template {string} K
  * @param {Observable.<ListenerOf.<V, K>>} replica
@@ -1163,6 +3299,8 @@ class ReplicaListenerImpl {
  * @param {boolean} [kwargs.invoke=false] If true, we invoke the listener with
  *   the current value of the field when we add it, unless the observable is not
  *   set.
+ * @returns {function() : void} A function which removes the listener from
+ *   both the observable and the current value
  */
 export function addWrappedListener(replica, field, listener, kwargs) {
     const {invoke} = Object.assign({invoke: false}, kwargs);
@@ -1172,80 +3310,100 @@ export function addWrappedListener(replica, field, listener, kwargs) {
     }
 
     let curVal = replica.value;
+    let disposeCur = null;
     if (curVal !== null) {
-        curVal.addListener(field, listener);
+        disposeCur = curVal.addListener(field, listener);
     }
-    replica.addListener(val => {
-        if (curVal !== null) {
-            curVal.removeListener(field, listener);
+    const disposeReplica = replica.addListener(val => {
+        if (disposeCur !== null) {
+            disposeCur();
+            disposeCur = null;
         }
 
         curVal = val;
         if (val !== null) {
-            val.addListenerAndInvoke(field, listener);
+            disposeCur = val.addListenerAndInvoke(field, listener);
+        }
+    });
+
+    return newDisposer(() => {
+        disposeReplica();
+        if (disposeCur !== null) {
+            disposeCur();
+            disposeCur = null;
         }
     });
 }
 
 /**
- * Creates a new instance which implements both ReplicaListener and ListenerOf
- * for each field.
+ * Creates a new instance which implements ReplicaListener, and for each
+ * field ListenerOf, or GetterOf if it's a computed field.
  *
  * @template VA
  * @template {string} KA
- * @param {{key: KA, val: VA}} a The first field
- * @returns {ReplicaListener & ListenerOf<VA, KA>} The new instance
+ * @template {FieldDescriptor.<VA, KA>} DA
+ * @param {DA & FieldDescriptor.<VA, KA>} a The first field
+ * @returns {ReplicaListener & FieldListenerOf<DA, VA, KA>} The new instance
  */
 export function implementReplicaListener(a); // @@type-hint
 
 /**
- * Creates a new instance which implements both ReplicaListener and ListenerOf
- * for each field.
+ * Creates a new instance which implements ReplicaListener, and for each
+ * field ListenerOf, or GetterOf if it's a computed field.
  *
  * @template VA,VB
  * @template {string} KA
  * @template {string} KB
- * @param {{key: KA, val: VA}} a The first field
- * @param {{key: KB, val: VB}} b The second field
- * @returns {ReplicaListener & ListenerOf<VA, KA> & ListenerOf<VB, KB>}} The new instance
+ * @template {FieldDescriptor.<VA, KA>} DA
+ * @template {FieldDescriptor.<VB, KB>} DB
+ * @param {DA & FieldDescriptor.<VA, KA>} a The first field
+ * @param {DB & FieldDescriptor.<VB, KB>} b The second field
+ * @returns {ReplicaListener & FieldListenerOf<DA, VA, KA> & FieldListenerOf<DB, VB, KB>} The new instance
  */
 export function implementReplicaListener(a, b); // @@type-hint
 
 /**
- * Creates a new instance which implements both ReplicaListener and ListenerOf
- * for each field.
+ * Creates a new instance which implements ReplicaListener, and for each
+ * field ListenerOf, or GetterOf if it's a computed field.
  *
  * @template VA,VB,VC
  * @template {string} KA
  * @template {string} KB
  * @template {string} KC
- * @param {{key: KA, val: VA}} a The first field
- * @param {{key: KB, val: VB}} b The second field
- * @param {{key: KC, val: VC}} c The third field
- * @returns {ReplicaListener & ListenerOf<VA, KA> & ListenerOf<VB, KB> & ListenerOf<VC, KC>} The new instance
+ * @template {FieldDescriptor.<VA, KA>} DA
+ * @template {FieldDescriptor.<VB, KB>} DB
+ * @template {FieldDescriptor.<VC, KC>} DC
+ * @param {DA & FieldDescriptor.<VA, KA>} a The first field
+ * @param {DB & FieldDescriptor.<VB, KB>} b The second field
+ * @param {DC & FieldDescriptor.<VC, KC>} c The third field
+ * @returns {ReplicaListener & FieldListenerOf<DA, VA, KA> & FieldListenerOf<DB, VB, KB> & FieldListenerOf<DC, VC, KC>} The new instance
  */
 export function implementReplicaListener(a, b, c); // @@type-hint
 
 /**
- * Creates a new instance which implements both ReplicaListener and ListenerOf
- * for each field.
+ * Creates a new instance which implements ReplicaListener, and for each
+ * field ListenerOf, or GetterOf if it's a computed field.
  *
  * @template VA,VB,VC,VD
  * @template {string} KA
  * @template {string} KB
  * @template {string} KC
  * @template {string} KD
- * @param {{key: KA, val: VA}} a The first field
- * @param {{key: KB, val: VB}} b The second field
- * @param {{key: KC, val: VC}} c The third field
- * @param {{key: KD, val: VD}} d The fourth field
- * @returns {ReplicaListener & ListenerOf<VA, KA> & ListenerOf<VB, KB> & ListenerOf<VC, KC> & ListenerOf<VD, KD>} The new instance
+ * @template {FieldDescriptor.<VA, KA>} DA
+ * @template {FieldDescriptor.<VB, KB>} DB
+ * @template {FieldDescriptor.<VC, KC>} DC
+ * @template {FieldDescriptor.<VD, KD>} DD
+ * @param {DA & FieldDescriptor.<VA, KA>} a The first field
+ * @param {DB & FieldDescriptor.<VB, KB>} b The second field
+ * @param {DC & FieldDescriptor.<VC, KC>} c The third field
+ * @param {DD & FieldDescriptor.<VD, KD>} d The fourth field
+ * @returns {ReplicaListener & FieldListenerOf<DA, VA, KA> & FieldListenerOf<DB, VB, KB> & FieldListenerOf<DC, VC, KC> & FieldListenerOf<DD, VD, KD>} The new instance
  */
 export function implementReplicaListener(a, b, c, d); // @@type-hint
 
 /**
- * Creates a new instance which implements both ReplicaListener and ListenerOf
- * for each field.
+ * Creates a new instance which implements ReplicaListener, and for each
+ * field ListenerOf, or GetterOf if it's a computed field.
  *
  * @template VA,VB,VC,VD,VE
  * @template {string} KA
@@ -1253,18 +3411,23 @@ export function implementReplicaListener(a, b, c, d); // @@type-hint
  * @template {string} KC
  * @template {string} KD
  * @template {string} KE
- * @param {{key: KA, val: VA}} a The first field
- * @param {{key: KB, val: VB}} b The second field
- * @param {{key: KC, val: VC}} c The third field
- * @param {{key: KD, val: VD}} d The fourth field
- * @param {{key: KE, val: VE}} e The fifth field
- * @returns {ReplicaListener & ListenerOf<VA, KA> & ListenerOf<VB, KB> & ListenerOf<VC, KC> & ListenerOf<VD, KD> & ListenerOf<VE, KE>} The new instance
+ * @template {FieldDescriptor.<VA, KA>} DA
+ * @template {FieldDescriptor.<VB, KB>} DB
+ * @template {FieldDescriptor.<VC, KC>} DC
+ * @template {FieldDescriptor.<VD, KD>} DD
+ * @template {FieldDescriptor.<VE, KE>} DE
+ * @param {DA & FieldDescriptor.<VA, KA>} a The first field
+ * @param {DB & FieldDescriptor.<VB, KB>} b The second field
+ * @param {DC & FieldDescriptor.<VC, KC>} c The third field
+ * @param {DD & FieldDescriptor.<VD, KD>} d The fourth field
+ * @param {DE & FieldDescriptor.<VE, KE>} e The fifth field
+ * @returns {ReplicaListener & FieldListenerOf<DA, VA, KA> & FieldListenerOf<DB, VB, KB> & FieldListenerOf<DC, VC, KC> & FieldListenerOf<DD, VD, KD> & FieldListenerOf<DE, VE, KE>} The new instance
  */
 export function implementReplicaListener(a, b, c, d, e); // @@type-hint
 
 /**
- * Creates a new instance which implements both ReplicaListener and ListenerOf
- * for each field.
+ * Creates a new instance which implements ReplicaListener, and for each
+ * field ListenerOf, or GetterOf if it's a computed field.
  *
  * @template VA,VB,VC,VD,VE,VF
  * @template {string} KA
@@ -1273,19 +3436,25 @@ export function implementReplicaListener(a, b, c, d, e); // @@type-hint
  * @template {string} KD
  * @template {string} KE
  * @template {string} KF
- * @param {{key: KA, val: VA}} a The first field
- * @param {{key: KB, val: VB}} b The second field
- * @param {{key: KC, val: VC}} c The third field
- * @param {{key: KD, val: VD}} d The fourth field
- * @param {{key: KE, val: VE}} e The fifth field
- * @param {{key: KF, val: VF}} f The sixth field
- * @returns {ReplicaListener & ListenerOf<VA, KA> & ListenerOf<VB, KB> & ListenerOf<VC, KC> & ListenerOf<VD, KD> & ListenerOf<VE, KE> & ListenerOf<VF, KF>} The new instance
+ * @template {FieldDescriptor.<VA, KA>} DA
+ * @template {FieldDescriptor.<VB, KB>} DB
+ * @template {FieldDescriptor.<VC, KC>} DC
+ * @template {FieldDescriptor.<VD, KD>} DD
+ * @template {FieldDescriptor.<VE, KE>} DE
+ * @template {FieldDescriptor.<VF, KF>} DF
+ * @param {DA & FieldDescriptor.<VA, KA>} a The first field
+ * @param {DB & FieldDescriptor.<VB, KB>} b The second field
+ * @param {DC & FieldDescriptor.<VC, KC>} c The third field
+ * @param {DD & FieldDescriptor.<VD, KD>} d The fourth field
+ * @param {DE & FieldDescriptor.<VE, KE>} e The fifth field
+ * @param {DF & FieldDescriptor.<VF, KF>} f The sixth field
+ * @returns {ReplicaListener & FieldListenerOf<DA, VA, KA> & FieldListenerOf<DB, VB, KB> & FieldListenerOf<DC, VC, KC> & FieldListenerOf<DD, VD, KD> & FieldListenerOf<DE, VE, KE> & FieldListenerOf<DF, VF, KF>} The new instance
  */
 export function implementReplicaListener(a, b, c, d, e, f); // @@type-hint
 
 /**
- * Creates a new instance which implements both ReplicaListener and ListenerOf
- * for each field.
+ * Creates a new instance which implements ReplicaListener, and for each
+ * field ListenerOf, or GetterOf if it's a computed field.
  *
  * @template VA,VB,VC,VD,VE,VF,VG
  * @template {string} KA
@@ -1295,21 +3464,28 @@ export function implementReplicaListener(a, b, c, d, e, f); // @@type-hint
  * @template {string} KE
  * @template {string} KF
  * @template {string} KG
- * @param {{key: KA, val: VA}} a The first field
- * @param {{key: KB, val: VB}} b The second field
- * @param {{key: KC, val: VC}} c The third field
- * @param {{key: KD, val: VD}} d The fourth field
- * @param {{key: KE, val: VE}} e The fifth field
- * @param {{key: KF, val: VF}} f The sixth field
- * @param {{key: KG, val: VG}} g The seventh field
- * @returns {ReplicaListener & ListenerOf<VA, KA> & ListenerOf<VB, KB> & ListenerOf<VC, KC> & ListenerOf<VD, KD> & ListenerOf<VE, KE> & ListenerOf<VF, KF> & ListenerOf<VG, KG>} The new instance
+ * @template {FieldDescriptor.<VA, KA>} DA
+ * @template {FieldDescriptor.<VB, KB>} DB
+ * @template {FieldDescriptor.<VC, KC>} DC
+ * @template {FieldDescriptor.<VD, KD>} DD
+ * @template {FieldDescriptor.<VE, KE>} DE
+ * @template {FieldDescriptor.<VF, KF>} DF
+ * @template {FieldDescriptor.<VG, KG>} DG
+ * @param {DA & FieldDescriptor.<VA, KA>} a The first field
+ * @param {DB & FieldDescriptor.<VB, KB>} b The second field
+ * @param {DC & FieldDescriptor.<VC, KC>} c The third field
+ * @param {DD & FieldDescriptor.<VD, KD>} d The fourth field
+ * @param {DE & FieldDescriptor.<VE, KE>} e The fifth field
+ * @param {DF & FieldDescriptor.<VF, KF>} f The sixth field
+ * @param {DG & FieldDescriptor.<VG, KG>} g The seventh field
+ * @returns {ReplicaListener & FieldListenerOf<DA, VA, KA> & FieldListenerOf<DB, VB, KB> & FieldListenerOf<DC, VC, KC> & FieldListenerOf<DD, VD, KD> & FieldListenerOf<DE, VE, KE> & FieldListenerOf<DF, VF, KF> & FieldListenerOf<DG, VG, KG>} The new instance
  */
 export function implementReplicaListener(a, b, c, d, e, f, g); // @@type-hint
 
 
 /**
- * Creates a new instance which implements both ReplicaListener and ListenerOf
- * for each field.
+ * Creates a new instance which implements ReplicaListener, and for each
+ * field ListenerOf, or GetterOf if it's a computed field.
  *
  * @template VA,VB,VC,VD,VE,VF,VG,VH
  * @template {string} KA
@@ -1320,21 +3496,29 @@ export function implementReplicaListener(a, b, c, d, e, f, g); // @@type-hint
  * @template {string} KF
  * @template {string} KG
  * @template {string} KH
- * @param {{key: KA, val: VA}} a The first field
- * @param {{key: KB, val: VB}} b The second field
- * @param {{key: KC, val: VC}} c The third field
- * @param {{key: KD, val: VD}} d The fourth field
- * @param {{key: KE, val: VE}} e The fifth field
- * @param {{key: KF, val: VF}} f The sixth field
- * @param {{key: KG, val: VG}} g The seventh field
- * @param {{key: KH, val: VH}} h The eighth field
- * @returns {ReplicaListener & ListenerOf<VA, KA> & ListenerOf<VB, KB> & ListenerOf<VC, KC> & ListenerOf<VD, KD> & ListenerOf<VE, KE> & ListenerOf<VF, KF> & ListenerOf<VG, KG> & ListenerOf<VH, KH>} The new instance
+ * @template {FieldDescriptor.<VA, KA>} DA
+ * @template {FieldDescriptor.<VB, KB>} DB
+ * @template {FieldDescriptor.<VC, KC>} DC
+ * @template {FieldDescriptor.<VD, KD>} DD
+ * @template {FieldDescriptor.<VE, KE>} DE
+ * @template {FieldDescriptor.<VF, KF>} DF
+ * @template {FieldDescriptor.<VG, KG>} DG
+ * @template {FieldDescriptor.<VH, KH>} DH
+ * @param {DA & FieldDescriptor.<VA, KA>} a The first field
+ * @param {DB & FieldDescriptor.<VB, KB>} b The second field
+ * @param {DC & FieldDescriptor.<VC, KC>} c The third field
+ * @param {DD & FieldDescriptor.<VD, KD>} d The fourth field
+ * @param {DE & FieldDescriptor.<VE, KE>} e The fifth field
+ * @param {DF & FieldDescriptor.<VF, KF>} f The sixth field
+ * @param {DG & FieldDescriptor.<VG, KG>} g The seventh field
+ * @param {DH & FieldDescriptor.<VH, KH>} h The eighth field
+ * @returns {ReplicaListener & FieldListenerOf<DA, VA, KA> & FieldListenerOf<DB, VB, KB> & FieldListenerOf<DC, VC, KC> & FieldListenerOf<DD, VD, KD> & FieldListenerOf<DE, VE, KE> & FieldListenerOf<DF, VF, KF> & FieldListenerOf<DG, VG, KG> & FieldListenerOf<DH, VH, KH>} The new instance
  */
 export function implementReplicaListener(a, b, c, d, e, f, g, h); // @@type-hint
 
 /**
- * Creates a new instance which implements both ReplicaListener and ListenerOf
- * for each field.
+ * Creates a new instance which implements ReplicaListener, and for each
+ * field ListenerOf, or GetterOf if it's a computed field.
  *
  * @template VA,VB,VC,VD,VE,VF,VG,VH,VI
  * @template {string} KA
@@ -1346,22 +3530,31 @@ export function implementReplicaListener(a, b, c, d, e, f, g, h); // @@type-hint
  * @template {string} KG
  * @template {string} KH
  * @template {string} KI
- * @param {{key: KA, val: VA}} a The first field
- * @param {{key: KB, val: VB}} b The second field
- * @param {{key: KC, val: VC}} c The third field
- * @param {{key: KD, val: VD}} d The fourth field
- * @param {{key: KE, val: VE}} e The fifth field
- * @param {{key: KF, val: VF}} f The sixth field
- * @param {{key: KG, val: VG}} g The seventh field
- * @param {{key: KH, val: VH}} h The eighth field
- * @param {{key: KI, val: VI}} i The ninth field
- * @returns {ReplicaListener & ListenerOf<VA, KA> & ListenerOf<VB, KB> & ListenerOf<VC, KC> & ListenerOf<VD, KD> & ListenerOf<VE, KE> & ListenerOf<VF, KF> & ListenerOf<VG, KG> & ListenerOf<VH, KH> & ListenerOf<VI, KI>} The new instance
+ * @template {FieldDescriptor.<VA, KA>} DA
+ * @template {FieldDescriptor.<VB, KB>} DB
+ * @template {FieldDescriptor.<VC, KC>} DC
+ * @template {FieldDescriptor.<VD, KD>} DD
+ * @template {FieldDescriptor.<VE, KE>} DE
+ * @template {FieldDescriptor.<VF, KF>} DF
+ * @template {FieldDescriptor.<VG, KG>} DG
+ * @template {FieldDescriptor.<VH, KH>} DH
+ * @template {FieldDescriptor.<VI, KI>} DI
+ * @param {DA & FieldDescriptor.<VA, KA>} a The first field
+ * @param {DB & FieldDescriptor.<VB, KB>} b The second field
+ * @param {DC & FieldDescriptor.<VC, KC>} c The third field
+ * @param {DD & FieldDescriptor.<VD, KD>} d The fourth field
+ * @param {DE & FieldDescriptor.<VE, KE>} e The fifth field
+ * @param {DF & FieldDescriptor.<VF, KF>} f The sixth field
+ * @param {DG & FieldDescriptor.<VG, KG>} g The seventh field
+ * @param {DH & FieldDescriptor.<VH, KH>} h The eighth field
+ * @param {DI & FieldDescriptor.<VI, KI>} i The ninth field
+ * @returns {ReplicaListener & FieldListenerOf<DA, VA, KA> & FieldListenerOf<DB, VB, KB> & FieldListenerOf<DC, VC, KC> & FieldListenerOf<DD, VD, KD> & FieldListenerOf<DE, VE, KE> & FieldListenerOf<DF, VF, KF> & FieldListenerOf<DG, VG, KG> & FieldListenerOf<DH, VH, KH> & FieldListenerOf<DI, VI, KI>} The new instance
  */
 export function implementReplicaListener(a, b, c, d, e, f, g, h, i); // @@type-hint
 
 /**
- * Creates a new instance which implements both ReplicaListener and ListenerOf
- * for each field.
+ * Creates a new instance which implements ReplicaListener, and for each
+ * field ListenerOf, or GetterOf if it's a computed field.
  *
  * @template VA,VB,VC,VD,VE,VF,VG,VH,VI,VJ
  * @template {string} KA
@@ -1374,17 +3567,27 @@ export function implementReplicaListener(a, b, c, d, e, f, g, h, i); // @@type-h
  * @template {string} KH
  * @template {string} KI
  * @template {string} KJ
- * @param {{key: KA, val: VA}} a The first field
- * @param {{key: KB, val: VB}} b The second field
- * @param {{key: KC, val: VC}} c The third field
- * @param {{key: KD, val: VD}} d The fourth field
- * @param {{key: KE, val: VE}} e The fifth field
- * @param {{key: KF, val: VF}} f The sixth field
- * @param {{key: KG, val: VG}} g The seventh field
- * @param {{key: KH, val: VH}} h The eighth field
- * @param {{key: KI, val: VI}} i The ninth field
- * @param {{key: KJ, val: VJ}} j The tenth field
- * @returns {ReplicaListener & ListenerOf<VA, KA> & ListenerOf<VB, KB> & ListenerOf<VC, KC> & ListenerOf<VD, KD> & ListenerOf<VE, KE> & ListenerOf<VF, KF> & ListenerOf<VG, KG> & ListenerOf<VH, KH> & ListenerOf<VI, KI> & ListenerOf<VJ, KJ>} The new instance
+ * @template {FieldDescriptor.<VA, KA>} DA
+ * @template {FieldDescriptor.<VB, KB>} DB
+ * @template {FieldDescriptor.<VC, KC>} DC
+ * @template {FieldDescriptor.<VD, KD>} DD
+ * @template {FieldDescriptor.<VE, KE>} DE
+ * @template {FieldDescriptor.<VF, KF>} DF
+ * @template {FieldDescriptor.<VG, KG>} DG
+ * @template {FieldDescriptor.<VH, KH>} DH
+ * @template {FieldDescriptor.<VI, KI>} DI
+ * @template {FieldDescriptor.<VJ, KJ>} DJ
+ * @param {DA & FieldDescriptor.<VA, KA>} a The first field
+ * @param {DB & FieldDescriptor.<VB, KB>} b The second field
+ * @param {DC & FieldDescriptor.<VC, KC>} c The third field
+ * @param {DD & FieldDescriptor.<VD, KD>} d The fourth field
+ * @param {DE & FieldDescriptor.<VE, KE>} e The fifth field
+ * @param {DF & FieldDescriptor.<VF, KF>} f The sixth field
+ * @param {DG & FieldDescriptor.<VG, KG>} g The seventh field
+ * @param {DH & FieldDescriptor.<VH, KH>} h The eighth field
+ * @param {DI & FieldDescriptor.<VI, KI>} i The ninth field
+ * @param {DJ & FieldDescriptor.<VJ, KJ>} j The tenth field
+ * @returns {ReplicaListener & FieldListenerOf<DA, VA, KA> & FieldListenerOf<DB, VB, KB> & FieldListenerOf<DC, VC, KC> & FieldListenerOf<DD, VD, KD> & FieldListenerOf<DE, VE, KE> & FieldListenerOf<DF, VF, KF> & FieldListenerOf<DG, VG, KG> & FieldListenerOf<DH, VH, KH> & FieldListenerOf<DI, VI, KI> & FieldListenerOf<DJ, VJ, KJ>} The new instance
  */
 export function implementReplicaListener(a, b, c, d, e, f, g, h, i, j); // @@type-hint
 
@@ -1395,9 +3598,66 @@ export function implementReplicaListener(a, b, c, d, e, f, g, h, i, j); // @@typ
  * up to 9 observables which include type information. If you have more,
  * you need to force the returned type to the correct one to get type info.
  *
- * @param {...{key: any, val: any}} fields
+ * @param {...FieldDescriptor.<any, any>} fields
  * @returns {ReplicaListener} The new instance
  */
 export function implementReplicaListener(...fields) {
     return new ReplicaListenerImpl(fields);
 }
+
+/**
+ * Describes how hydrate() rebuilds a value from JSON. One of:
+ * - null, for a value which is used as is
+ * - Date, for a date, which JSON holds as a string or a timestamp
+ * - any other function, which is called with the JSON value to revive it,
+ *   such as mapSchema() and setSchema() for a MapListenerOf or SetListenerOf
+ * - an array holding the schema of the elements, for an ArrayListenerOf
+ * - an object holding the schema of each field, for a replica listener
+ *   created with implementReplicaListener
+ * @typedef {null|DateConstructor|function(any) : any|Array.<any>|Object.<string, any>} HydrationSchema
+ */
+
+/**
+ * Rebuilds replica listeners, arrays and dates from JSON, typically
+ * the result of toJSON() or data from a server. For example:
+ *
+ * ```js
+ * const message = hydrate(
+ *     {text: null, createdAt: Date, author: {name: null}, tags: [null]},
+ *     await response.json()
+ * );
+ * message.get('createdAt').getFullYear();
+ * ```
+ *
+ * Fields in the schema which are missing from the JSON are undefined, and
+ * fields in the JSON which are missing from the schema are ignored. Null
+ * and undefined values are used as is whatever their schema.
+ *
+ * @param {HydrationSchema} schema Describes the value
+ * @param {any} json The parsed JSON value
+ * @returns {any} The rebuilt value
+ */
+export function hydrate(schema, json) {
+    if (schema === null || schema === undefined || json === null || json === undefined) {
+        return json;
+    }
+    if (schema === Date) {
+        return new Date(json);
+    }
+    if (typeof(schema) === 'function') {
+        return schema(json);
+    }
+    if (Array.isArray(schema)) {
+        if (!Array.isArray(json)) {
+            throw new Error(`cannot hydrate an array from ${typeof(json)}`);
+        }
+        return newArrayListenerOf(json.map((v) => hydrate(schema[0], v)));
+    }
+    if (typeof(json) !== 'object' || Array.isArray(json)) {
+        throw new Error(`cannot hydrate a replica listener from ${Array.isArray(json) ? 'array' : typeof(json)}`);
+    }
+
+    return new ReplicaListenerImpl(
+        Object.keys(schema).map((key) => ({key, val: hydrate(schema[key], json[key])}))
+    );
+}
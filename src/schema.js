@@ -0,0 +1,152 @@
+import { hydrate, implementReplicaListener, toJSONValue } from "./replica_listener.js";
+
+/**
+ * The shape of a kind of replica listener, as stored and sent over the wire,
+ * together with how to bring older stored data up to date. Created by
+ * defineSchema().
+ *
+ * Data is stored as `{version, data}`, where data is the state of the
+ * replica listener as from toJSON().
+ *
+ * @typedef {object} VersionedSchema
+ * @property {number} version The current version
+ * @property {Object.<string, any>} fields The schema of each field as for
+ *   hydrate(), for use within other schemas and with persist()
+ * @property {function(any) : any} create Creates a replica listener with
+ *   implementReplicaListener from data of the current version
+ * @property {function(any) : any} load Creates a replica listener from
+ *   stored `{version, data}`, migrating the data first if it's older
+ * @property {function(any) : {version: number, data: any}} save Gets what to
+ *   store for the given replica listener
+ * @property {function(any) : any} migrate Brings stored `{version, data}` up
+ *   to the current version, returning the data
+ * @property {function(any) : string} stringify Converts data of the current
+ *   version to a JSON string of `{version, data}`, as for persist()'s
+ *   serialize
+ * @property {function(string) : any} parse Converts a JSON string of
+ *   `{version, data}` to data of the current version, as for persist()'s
+ *   deserialize
+ */
+
+/**
+ * The error thrown when loading data stored by a newer version of a schema
+ * than this code knows about, such as data saved by a newer release of the
+ * app in another tab.
+ */
+export class SchemaVersionError extends Error {
+    /**
+     * @param {string} name The name of the schema
+     * @param {number} version The version of the data
+     * @param {number} supportedVersion The newest version which is known
+     */
+    constructor(name, version, supportedVersion) {
+        super(
+            `Cannot load ${name} version ${version}: the newest version this code ` +
+            `supports is ${supportedVersion}`
+        );
+        this.name = 'SchemaVersionError';
+
+        /**
+         * The version of the data
+         * @type {number}
+         */
+        this.version = version;
+
+        /**
+         * The newest version which is known
+         * @type {number}
+         */
+        this.supportedVersion = supportedVersion;
+    }
+}
+
+/**
+ * Defines a versioned schema for a kind of replica listener, so that data
+ * stored by older versions of the code can still be loaded. Whenever the
+ * shape of the fields changes, the version goes up by one and a migration is
+ * added which converts data of the previous version to the new one. For
+ * example:
+ *
+ * ```js
+ * const draftSchema = defineSchema({
+ *     name: 'draft',
+ *     version: 3,
+ *     fields: {body: null, lastEdited: Date, tags: [null]},
+ *     migrations: {
+ *         // version 2 renamed text to body
+ *         2: ({text, ...rest}) => ({...rest, body: text}),
+ *         // version 3 allowed several tags instead of one
+ *         3: ({tag, ...rest}) => ({...rest, tags: tag === null ? [] : [tag]}),
+ *     },
+ * });
+ *
+ * const draft = draftSchema.load(JSON.parse(localStorage.getItem('draft')));
+ * localStorage.setItem('draft', JSON.stringify(draftSchema.save(draft)));
+ * ```
+ *
+ * Migrations work on plain data, as from toJSON(), and are applied one
+ * version at a time, so data of version 1 above is passed through both.
+ * Replica listeners nested within the fields are migrated as part of their
+ * parent's data.
+ *
+ * @param {object} kwargs Keyword arguments
+ * @param {string} [kwargs.name='data'] Names the schema in errors
+ * @param {number} [kwargs.version=1] The current version
+ * @param {Object.<string, any>} kwargs.fields The schema of each field of
+ *   the current version, as for hydrate()
+ * @param {Array.<any>} [kwargs.computed] Descriptors of computed fields, as
+ *   for implementReplicaListener, to add after the others
+ * @param {Object.<number, function(any) : any>} [kwargs.migrations] The
+ *   migration to each version from the one before it, by the version it
+ *   migrates to
+ * @returns {VersionedSchema} The schema
+ */
+export function defineSchema(kwargs) {
+    const {name, version, fields, computed, migrations} = Object.assign({
+        name: 'data',
+        version: 1,
+        fields: {},
+        computed: [],
+        migrations: {},
+    }, kwargs);
+
+    const migrate = (stored) => {
+        if (
+            typeof(stored) !== 'object' || stored === null ||
+            typeof(stored.version) !== 'number' || !('data' in stored)
+        ) {
+            throw new Error(`cannot load ${name} from ${JSON.stringify(stored)}: expected {version, data}`);
+        }
+        if (stored.version > version) {
+            throw new SchemaVersionError(name, stored.version, version);
+        }
+
+        let data = stored.data;
+        for (let v = stored.version + 1; v <= version; v++) {
+            if (typeof(migrations[v]) !== 'function') {
+                throw new Error(`cannot load ${name} version ${stored.version}: there is no migration to version ${v}`);
+            }
+            data = migrations[v](data);
+        }
+        return data;
+    };
+
+    const create = (data) => {
+        if (typeof(data) !== 'object' || data === null || Array.isArray(data)) {
+            throw new Error(`cannot create ${name} from ${Array.isArray(data) ? 'array' : typeof(data)}`);
+        }
+        const descriptors = Object.keys(fields).map((key) => ({key, val: hydrate(fields[key], data[key])}));
+        return implementReplicaListener.apply(null, descriptors.concat(computed));
+    };
+
+    return {
+        version,
+        fields,
+        create,
+        load: (stored) => create(migrate(stored)),
+        save: (replica) => ({version, data: toJSONValue(replica)}),
+        migrate,
+        stringify: (data) => JSON.stringify({version, data}),
+        parse: (text) => migrate(JSON.parse(text)),
+    };
+}
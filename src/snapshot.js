@@ -0,0 +1,128 @@
+import { isObservableArray, isObservableFields } from "./mutations.js";
+
+/**
+ * The replica listener or ArrayListenerOf each snapshot was taken of, so
+ * that restoring a snapshot puts back the same instances.
+ * @type {WeakMap.<object, any>}
+ */
+const snapshotSources = new WeakMap();
+
+/**
+ * The most recent snapshot of each replica listener or ArrayListenerOf,
+ * which is reused if nothing in it has changed since.
+ * @type {WeakMap.<object, object>}
+ */
+const latestSnapshots = new WeakMap();
+
+/**
+ * Captures the current state of the given replica listener or
+ * ArrayListenerOf and everything nested within it, as frozen objects and
+ * arrays holding the values of the fields and elements. Computed fields are
+ * left out.
+ *
+ * Snapshots are structurally shared: anything nested which hasn't changed
+ * since the previous snapshot is the identical object as in that snapshot,
+ * so keeping many of them, e.g. for a debug timeline, is cheap, and they can
+ * be compared with ===. Values other than replica listeners and arrays are
+ * captured as they are, and so should not be mutated in place.
+ *
+ * ```js
+ * const saved = snapshot(message);
+ * // later, on "revert to saved"
+ * restore(message, saved);
+ * ```
+ *
+ * @param {any} replica The replica listener or ArrayListenerOf
+ * @returns {any} The snapshot
+ */
+export function snapshot(replica) {
+    return snapshotOf(replica);
+}
+
+/**
+ * Puts the given replica listener or ArrayListenerOf, and everything nested
+ * within it, back to the state captured by snapshot(), as a transaction.
+ * Only what differs is changed, with the fewest sets and splices, so
+ * listeners are notified just as if those changes had been made by hand. The
+ * replica listeners and arrays which were nested within it when the snapshot
+ * was taken are put back rather than copies of them.
+ *
+ * @param {any} replica The replica listener or ArrayListenerOf
+ * @param {any} snap A snapshot of it from snapshot()
+ */
+export function restore(replica, snap) {
+    replica.transaction(() => restoreInto(replica, snap));
+}
+
+/**
+ * @param {any} value The value to take a snapshot of
+ * @returns {any} The snapshot, or the value if it's not a replica listener
+ */
+function snapshotOf(value) {
+    /** @type {any} */
+    const latest = latestSnapshots.get(value);
+    /** @type {object} */
+    let res;
+    if (isObservableArray(value)) {
+        const elements = value.get().map(snapshotOf);
+        if (
+            latest !== undefined && latest.length === elements.length &&
+            elements.every((v, i) => Object.is(v, latest[i]))
+        ) {
+            return latest;
+        }
+        res = Object.freeze(elements);
+    } else if (isObservableFields(value)) {
+        const keys = value.keys();
+        const fields = {};
+        for (const key of keys) {
+            fields[key] = snapshotOf(value.get(key));
+        }
+        if (
+            latest !== undefined && Object.keys(latest).length === keys.length &&
+            keys.every((key) => key in latest && Object.is(fields[key], latest[key]))
+        ) {
+            return latest;
+        }
+        res = Object.freeze(fields);
+    } else {
+        return value;
+    }
+
+    latestSnapshots.set(value, res);
+    snapshotSources.set(res, value);
+    return res;
+}
+
+/**
+ * @param {any} value The replica listener or ArrayListenerOf to restore
+ * @param {any} snap The snapshot to restore it to
+ */
+function restoreInto(value, snap) {
+    if (isObservableArray(value)) {
+        value.set(snap.map(restoredValue), {key: (v) => v});
+        return;
+    }
+
+    for (const key of Object.keys(snap)) {
+        const restored = restoredValue(snap[key]);
+        if (!Object.is(value.get(key), restored)) {
+            value.set(key, restored);
+        }
+    }
+}
+
+/**
+ * @param {any} snap A snapshot, or a value within one
+ * @returns {any} The value to put back, which is the instance the snapshot
+ *   was taken of restored to it if it's a snapshot
+ */
+function restoredValue(snap) {
+    const source = (typeof(snap) === 'object' && snap !== null) ? snapshotSources.get(snap) : undefined;
+    if (source === undefined) {
+        return snap;
+    }
+
+    restoreInto(source, snap);
+    return source;
+}
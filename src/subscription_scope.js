@@ -0,0 +1,120 @@
+/**
+ * Wraps the given function which removes a listener, such that calling the
+ * result more than once only removes the listener once. Usually used to
+ * implement the disposers returned when adding listeners.
+ *
+ * @param {function() : void} dispose The function which removes the listener
+ * @returns {function() : void} The disposer
+ */
+export function newDisposer(dispose) {
+    let disposed = false;
+    return () => {
+        if (!disposed) {
+            disposed = true;
+            dispose();
+        }
+    };
+}
+
+/**
+ * Collects the disposers returned when adding listeners, possibly to many
+ * different observables and replica listeners, so that they can all be
+ * removed at once. This is typically used by a component which listens to
+ * state it does not own, and hence cannot just clear all the listeners on it.
+ *
+ * For example
+ *
+ * ```js
+ * const scope = new SubscriptionScope();
+ * scope.add(message.addListenerAndInvoke('message', (msg) => res.textContent = msg));
+ * scope.add(messages.addArrayListener(listener));
+ *
+ * scope.dispose(); // removes both listeners
+ * ```
+ */
+export class SubscriptionScope {
+    constructor() {
+        /**
+         * The disposers which have not been called yet, in the order they
+         * were added
+         * @type {Array.<function() : void>}
+         * @private
+         */
+        this._disposers = [];
+
+        /**
+         * True once dispose has been called
+         * @type {boolean}
+         * @private
+         */
+        this._disposed = false;
+    }
+
+    /**
+     * @returns {boolean} True if this scope has been disposed, false
+     *   otherwise
+     */
+    get disposed() {
+        return this._disposed;
+    }
+
+    /**
+     * Adds the given disposer to this scope, so that it's called when this
+     * scope is disposed. If this scope has already been disposed, the
+     * disposer is called immediately.
+     *
+     * @param {(function() : void)|{dispose: function() : void}} disposer The
+     *   function to call, or an object with a dispose function such as
+     *   another scope
+     * @returns {function() : void} The disposer as a function, which can be
+     *   called to dispose of it early. Either way, it's only called once.
+     */
+    add(disposer) {
+        const fn = typeof(disposer) === 'function' ? disposer : () => disposer.dispose();
+        // the same function is kept and returned, so that it knows whether
+        // this scope has already called it
+        const dispose = newDisposer(() => {
+            const index = this._disposers.indexOf(dispose);
+            if (index >= 0) {
+                this._disposers.splice(index, 1);
+            }
+            fn();
+        });
+        if (this._disposed) {
+            dispose();
+            return dispose;
+        }
+
+        this._disposers.push(dispose);
+        return dispose;
+    }
+
+    /**
+     * Calls every disposer in this scope in the reverse order they were
+     * added. Every disposer is called even if some of them throw, in which
+     * case an AggregateError is thrown afterward. Disposing a scope more
+     * than once does nothing.
+     */
+    dispose() {
+        if (this._disposed) {
+            return;
+        }
+
+        this._disposed = true;
+        const disposers = this._disposers;
+        this._disposers = [];
+
+        const errors = [];
+        for (let i = disposers.length - 1; i >= 0; i--) {
+            try {
+                disposers[i]();
+            } catch (e) {
+                errors.push(e);
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new AggregateError(errors, `${errors.length} disposer(s) failed`);
+        }
+    }
+}
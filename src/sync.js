@@ -0,0 +1,541 @@
+import { applyPatch, observeMutations, stateMutations } from "./mutations.js";
+import { toJSONValue } from "./replica_listener.js";
+import { newDisposer } from "./subscription_scope.js";
+
+/**
+ * Carries messages between a sync client and a sync server, such as over a
+ * WebSocket. Messages are plain data which can be serialized as JSON, and
+ * must be delivered in the order they are sent.
+ *
+ * @typedef {object} SyncTransport
+ * @property {function(any) : void} send Sends a message to the other end
+ * @property {function(function(any) : void) : (function() : void)} addListener
+ *   Calls the given function with each message from the other end, until the
+ *   returned function is called
+ */
+
+/**
+ * A connection between a replica listener and a sync server.
+ *
+ * @typedef {object} SyncConnection
+ * @property {number} version The version of the server's state which this
+ *   replica listener has seen, not counting its own pending changes
+ * @property {number} pending The number of local changes not yet accepted
+ *   by the server
+ * @property {function() : void} detach Stops syncing, leaving the replica
+ *   listener as it is
+ */
+
+/**
+ * Makes the given replica listener or ArrayListenerOf the authoritative
+ * copy of some state which sync clients (see connectSync) are kept in sync
+ * with, over any transport.
+ *
+ * Every change, whether it is made by a client or on the server, is stamped
+ * with the next version number and sent to every client in that order. A
+ * client change is only accepted if the client had seen every earlier
+ * version, so that the server never needs to resolve conflicts itself;
+ * otherwise the client rebases its change onto the versions it missed (see
+ * connectSync) and sends it again.
+ *
+ * Each client is represented by a replica of the replica listener, which
+ * its changes are made to and so reach the authoritative copy just like
+ * changes to any other replica. Disconnecting the client detaches it.
+ *
+ * @param {any} replica The authoritative replica listener
+ * @param {object} [kwargs] Optional keyword arguments
+ * @param {any} [kwargs.schema] Describes the replica listener as for
+ *   hydrate(), so that values in changes from clients are rebuilt
+ * @returns {{version: number, connect: function(SyncTransport) : (function() : void), close: function() : void}}
+ *   The server, whose connect accepts a client on the given transport and
+ *   returns a function which disconnects it, and whose close disconnects
+ *   every client
+ */
+export function serveSync(replica, kwargs) {
+    const {schema} = Object.assign({schema: undefined}, kwargs);
+
+    let version = 0;
+    let nextClientId = 1;
+    /** @type {Set.<SyncTransport>} */
+    const clients = new Set();
+    /**
+     * While applying the changes from a client, which are sent on as they
+     * are: whether the next change reported is the one being applied, and
+     * any other changes made meanwhile, e.g. by listeners.
+     * @type {?{echo: boolean, other: Array.<any>}}
+     */
+    let applying = null;
+
+    const broadcast = (mutation, from) => {
+        version++;
+        const message = {type: 'op', version, from, mutation};
+        for (const client of clients) {
+            client.send(message);
+        }
+    };
+
+    const stopObserving = observeMutations(replica, (mutation) => {
+        if (applying === null) {
+            broadcast(mutation, null);
+        } else if (applying.echo) {
+            applying.echo = false;
+        } else {
+            applying.other.push(mutation);
+        }
+    });
+
+    /** @type {Set.<function() : void>} */
+    const disconnects = new Set();
+
+    return {
+        get version() {
+            return version;
+        },
+        connect(transport) {
+            const id = String(nextClientId++);
+            const peer = replica.createReplica();
+            const removeListener = transport.addListener((message) => {
+                if (message.type !== 'submit' || message.base !== version) {
+                    return;
+                }
+
+                const current = {echo: false, other: []};
+                applying = current;
+                try {
+                    for (const mutation of message.mutations) {
+                        // listeners are notified of the change before any
+                        // changes they make in response, so it's reported
+                        // first, unless it changed nothing
+                        current.echo = true;
+                        applyPatch(peer, mutation, schema);
+                        current.echo = false;
+                    }
+                } finally {
+                    applying = null;
+                }
+
+                for (const mutation of message.mutations) {
+                    broadcast(mutation, id);
+                }
+                for (const mutation of current.other) {
+                    broadcast(mutation, null);
+                }
+            });
+
+            clients.add(transport);
+            transport.send({type: 'welcome', id, version, state: toJSONValue(replica)});
+
+            const disconnect = newDisposer(() => {
+                removeListener();
+                peer.detach();
+                clients.delete(transport);
+                disconnects.delete(disconnect);
+            });
+            disconnects.add(disconnect);
+            return disconnect;
+        },
+        close() {
+            for (const disconnect of Array.from(disconnects)) {
+                disconnect();
+            }
+            stopObserving();
+        },
+    };
+}
+
+/**
+ * Keeps the given replica listener or ArrayListenerOf in sync with the
+ * authoritative copy served by serveSync() on the other end of the given
+ * transport. The server is represented by a replica of the replica listener:
+ * the server's state, and changes made by everyone else as they arrive, are
+ * made to that replica and so reach the replica listener, and anything else
+ * attached to it, just like changes to any other replica. Changes made to
+ * the replica listener, or to any replica attached to it, are sent to the
+ * server. Detaching detaches the replica representing the server.
+ *
+ * Local changes are applied immediately and sent to the server in order.
+ * Edits made concurrently by different clients are resolved the same way on
+ * every client:
+ * - when two clients set the same field, the one the server accepted last
+ *   wins
+ * - when two clients splice or move elements of the same array, the indices
+ *   are transformed so both edits apply, with the one the server accepted
+ *   first placed first when both insert at the same place
+ * - edits within something that was concurrently removed or replaced are
+ *   dropped
+ *
+ * For example, with an in-memory transport for tests:
+ *
+ * ```js
+ * const server = serveSync(message, {schema});
+ * const [serverEnd, clientEnd] = newLoopbackTransport();
+ * server.connect(serverEnd);
+ * const conn = connectSync(local, clientEnd, {schema});
+ * ```
+ *
+ * @param {any} replica The replica listener to keep in sync
+ * @param {SyncTransport} transport Connects to the server
+ * @param {object} [kwargs] Optional keyword arguments
+ * @param {any} [kwargs.schema] Describes the replica listener as for
+ *   hydrate(), so that values in changes from the server are rebuilt
+ * @returns {SyncConnection} The connection
+ */
+export function connectSync(replica, transport, kwargs) {
+    const {schema} = Object.assign({schema: undefined}, kwargs);
+
+    const remote = replica.createReplica();
+    /** @type {?string} */
+    let id = null;
+    let version = 0;
+    /**
+     * Local changes which the server has not accepted yet, relative to the
+     * latest version.
+     * @type {Array.<any>}
+     */
+    let pending = [];
+    /** The number of pending changes sent to the server. */
+    let inflight = 0;
+    /**
+     * True while applying a mutation from the server until it's reported, so
+     * that it isn't sent back. Changes made by listeners in response still
+     * are.
+     */
+    let echo = false;
+    /** @type {?function() : void} */
+    let stopObserving = null;
+
+    const apply = (mutations) => {
+        // not as a transaction, which would combine changes to the same
+        // field and so report them differently to how they were made
+        for (const mutation of mutations) {
+            // listeners are notified of the change before any changes they
+            // make in response, so it's reported first, unless it changed
+            // nothing
+            echo = true;
+            try {
+                applyPatch(remote, mutation, schema);
+            } finally {
+                echo = false;
+            }
+        }
+    };
+
+    const submit = () => {
+        if (inflight === 0 && pending.length > 0) {
+            inflight = pending.length;
+            transport.send({type: 'submit', base: version, mutations: pending.slice()});
+        }
+    };
+
+    const removeListener = transport.addListener((message) => {
+        if (message.type === 'welcome') {
+            id = message.id;
+            version = message.version;
+            apply(stateMutations(remote, message.state));
+
+            stopObserving = observeMutations(replica, (mutation) => {
+                if (echo) {
+                    echo = false;
+                    return;
+                }
+                pending.push(mutation);
+                submit();
+            });
+        } else if (message.type === 'op' && id !== null) {
+            version = message.version;
+            if (message.from === id) {
+                pending.shift();
+                inflight--;
+                submit();
+                return;
+            }
+
+            // the server accepted this before anything still pending, which
+            // it will reject and which therefore needs to be sent again
+            const [remote, local] = transformMutations([message.mutation], pending, true);
+            pending = local;
+            inflight = 0;
+            apply(remote);
+            submit();
+        }
+    });
+
+    const detach = newDisposer(() => {
+        removeListener();
+        remote.detach();
+        if (stopObserving !== null) {
+            stopObserving();
+        }
+    });
+
+    return {
+        get version() {
+            return version;
+        },
+        get pending() {
+            return pending.length;
+        },
+        detach,
+    };
+}
+
+/**
+ * Creates a pair of connected in-memory transports, mostly for tests.
+ * Messages are copied as if they were sent as JSON, and delivered in a
+ * microtask, or when flush() is called on the receiving end if manual is
+ * set. The latter allows tests to control exactly which edits are
+ * concurrent.
+ *
+ * @param {object} [kwargs] Optional keyword arguments
+ * @param {boolean} [kwargs.manual=false] If true, messages are only
+ *   delivered by flush()
+ * @returns {Array.<SyncTransport & {flush: function() : void}>} The two ends
+ */
+export function newLoopbackTransport(kwargs) {
+    const {manual} = Object.assign({manual: false}, kwargs);
+
+    /** @type {Array.<Array.<string>>} */
+    const queues = [[], []];
+    /** @type {Array.<Array.<function(any) : void>>} */
+    const listeners = [[], []];
+
+    const deliver = (end) => {
+        while (queues[end].length > 0) {
+            const message = JSON.parse(queues[end].shift());
+            for (const listener of listeners[end].slice()) {
+                listener(message);
+            }
+        }
+    };
+
+    const newEnd = (end) => ({
+        send(message) {
+            queues[1 - end].push(JSON.stringify(message));
+            if (!manual) {
+                queueMicrotask(() => deliver(1 - end));
+            }
+        },
+        addListener(listener) {
+            listeners[end].push(listener);
+            return newDisposer(() => {
+                const index = listeners[end].indexOf(listener);
+                if (index >= 0) {
+                    listeners[end].splice(index, 1);
+                }
+            });
+        },
+        flush() {
+            deliver(end);
+        },
+    });
+
+    return [newEnd(0), newEnd(1)];
+}
+
+/**
+ * Transforms two lists of mutations which were made concurrently to the
+ * same state, such that applying the first list and then the second result
+ * gives the same state as applying the second list and then the first
+ * result.
+ *
+ * @param {Array.<any>} ours The first list
+ * @param {Array.<any>} theirs The second list
+ * @param {boolean} oursFirst True if ours were accepted first, which decides
+ *   conflicts
+ * @returns {Array.<Array.<any>>} Ours to apply after theirs, and theirs to
+ *   apply after ours
+ */
+function transformMutations(ours, theirs, oursFirst) {
+    if (ours.length === 0 || theirs.length === 0) {
+        return [ours, theirs];
+    }
+
+    if (ours.length > 1) {
+        const [head, theirs1] = transformMutations([ours[0]], theirs, oursFirst);
+        const [tail, theirs2] = transformMutations(ours.slice(1), theirs1, oursFirst);
+        return [head.concat(tail), theirs2];
+    }
+
+    if (theirs.length > 1) {
+        const [ours1, head] = transformMutations(ours, [theirs[0]], oursFirst);
+        const [ours2, tail] = transformMutations(ours1, theirs.slice(1), oursFirst);
+        return [ours2, head.concat(tail)];
+    }
+
+    return [
+        transformMutation(ours[0], theirs[0], oursFirst),
+        transformMutation(theirs[0], ours[0], !oursFirst),
+    ];
+}
+
+/**
+ * Transforms a mutation to apply after another mutation which was made
+ * concurrently to the same state.
+ *
+ * @param {any} mutation The mutation to transform
+ * @param {any} other The mutation applied first
+ * @param {boolean} first True if the mutation was accepted before the other,
+ *   in which case it loses conflicting sets but goes first when both insert
+ *   at the same place
+ * @returns {Array.<any>} The transformed mutation, as zero or more
+ *   mutations
+ */
+function transformMutation(mutation, other, first) {
+    const path = mutation.path;
+    const otherPath = other.path;
+    if (!isPathPrefix(otherPath, path) && !isPathPrefix(path, otherPath)) {
+        return [mutation];
+    }
+
+    if (other.op === 'set') {
+        if (!isPathPrefix(otherPath, path)) {
+            return [mutation];
+        }
+        if (path.length > otherPath.length || mutation.op !== 'set' || first) {
+            return [];
+        }
+        return [mutation];
+    }
+
+    if (path.length > otherPath.length && isPathPrefix(otherPath, path)) {
+        const index = mapArrayIndex(Number(path[otherPath.length]), other);
+        if (index === null) {
+            return [];
+        }
+        return [Object.assign({}, mutation, {
+            path: [...otherPath, index, ...path.slice(otherPath.length + 1)]
+        })];
+    }
+
+    if (path.length !== otherPath.length || mutation.op === 'set') {
+        return [mutation];
+    }
+
+    if (mutation.op === 'move' && other.op === 'move' && mutation.from === other.from) {
+        return (first || other.to === mutation.to) ? [] : [Object.assign({}, mutation, {from: other.to})];
+    }
+
+    // the elements removed, and where the inserted elements go, described
+    // as the boundary before an element, since a boundary within the removed
+    // elements could mean before or after the other's inserted elements
+    const {removed, lowest, highest} = describeArrayMutation(mutation);
+    const newRemoved = [];
+    for (const index of removed) {
+        const newIndex = mapArrayIndex(index, other);
+        if (newIndex !== null) {
+            newRemoved.push(newIndex);
+        } else if (mutation.op === 'move') {
+            return [];
+        }
+    }
+    newRemoved.sort((a, b) => a - b);
+
+    const boundary = mapArrayBoundary(first ? lowest : highest, other, first);
+    const insertAt = boundary - newRemoved.filter((i) => i < boundary).length;
+
+    if (mutation.op === 'move') {
+        return newRemoved[0] === insertAt ? [] : [Object.assign({}, mutation, {from: newRemoved[0], to: insertAt})];
+    }
+
+    const res = [];
+    let end = newRemoved.length;
+    while (end > 0) {
+        let start = end - 1;
+        while (start > 0 && newRemoved[start - 1] === newRemoved[start] - 1) {
+            start--;
+        }
+        res.push({op: 'splice', path, start: newRemoved[start], deleteCount: end - start, items: []});
+        end = start;
+    }
+
+    const last = res[res.length - 1];
+    if (last !== undefined && last.start === insertAt) {
+        last.items = mutation.items;
+    } else if (mutation.items.length > 0) {
+        res.push({op: 'splice', path, start: insertAt, deleteCount: 0, items: mutation.items});
+    }
+    return res;
+}
+
+/**
+ * Describes a splice or move in terms of the indices of the elements it
+ * removes, and the range of boundaries, each before the element with that
+ * index, at which it inserts elements; every boundary in the range is
+ * equivalent since the elements between them are removed.
+ *
+ * @param {any} mutation The splice or move
+ * @returns {{removed: Array.<number>, lowest: number, highest: number, inserted: number}}
+ */
+function describeArrayMutation(mutation) {
+    if (mutation.op === 'move') {
+        const {from, to} = mutation;
+        return {
+            removed: [from],
+            lowest: to <= from ? to : to + 1,
+            highest: to < from ? to : to + 1,
+            inserted: 1,
+        };
+    }
+
+    const removed = [];
+    for (let i = 0; i < mutation.deleteCount; i++) {
+        removed.push(mutation.start + i);
+    }
+    return {
+        removed,
+        lowest: mutation.start,
+        highest: mutation.start + mutation.deleteCount,
+        inserted: mutation.items.length,
+    };
+}
+
+/**
+ * @param {number} index The index of an element before the mutation
+ * @param {any} mutation A splice or move
+ * @returns {?number} The index of the element after the mutation, or null
+ *   if it was removed
+ */
+function mapArrayIndex(index, mutation) {
+    if (mutation.op === 'move') {
+        if (index === mutation.from) {
+            return mutation.to;
+        }
+        const without = index > mutation.from ? index - 1 : index;
+        return without >= mutation.to ? without + 1 : without;
+    }
+
+    if (index < mutation.start) {
+        return index;
+    }
+    if (index < mutation.start + mutation.deleteCount) {
+        return null;
+    }
+    return index - mutation.deleteCount + mutation.items.length;
+}
+
+/**
+ * @param {number} boundary The boundary before the element with this index,
+ *   before the mutation
+ * @param {any} mutation A splice or move
+ * @param {boolean} before Whether to go before the elements the mutation
+ *   inserts if the boundary is where they are inserted
+ * @returns {number} The boundary after the mutation
+ */
+function mapArrayBoundary(boundary, mutation, before) {
+    const {removed, lowest, highest, inserted} = describeArrayMutation(mutation);
+    const res = boundary - removed.filter((i) => i < boundary).length;
+    if (boundary < lowest || (boundary <= highest && before)) {
+        return res;
+    }
+    return res + inserted;
+}
+
+/**
+ * @param {Array.<string|number>} prefix A path
+ * @param {Array.<string|number>} path Another path
+ * @returns {boolean} True if the first path is a prefix of, or equal to,
+ *   the second
+ */
+function isPathPrefix(prefix, path) {
+    return prefix.length <= path.length && prefix.every((key, i) => String(key) === String(path[i]));
+}